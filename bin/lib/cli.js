@@ -1,23 +1,22 @@
 import os from "os";
-import fs from "fs";
 import path from "path";
 import Promise from "bluebird";
 import program from "commander";
 import createDebug from "debug";
 import rc from "rc";
-import { unionBy } from "lodash";
-import TeamworkChat from "../..";
+import TeamworkChat, { JSONFileStore } from "../..";
 
 export const CACHE_PATH = path.join(os.homedir(), ".twchatcache");
 
 const config = rc("tw-chat");
 const debug = createDebug("tw-chat:config");
 
-Promise.promisifyAll(fs);
-
 /** @type {TeamworkChat} The TeamworkChat instance (if any). */
 let chatInstance = null;
 
+/** @type {Object} The cache stores, by user name. */
+const stores = {};
+
 export function getUser(target = config.user) {
     if(!config.config)
         throw new Error("No `.tw-chatrc` configuration file found!");
@@ -30,76 +29,71 @@ export function getUser(target = config.user) {
     return user;
 }
 
-function saveCache(cache = {}) {
-    debug(`saving cache to ${CACHE_PATH}`);
-    return fs.writeFileAsync(CACHE_PATH, JSON.stringify(cache, null, 2)).catch(err => {
-        throw new Error("Unable to save cache.");
-    });
+/**
+ * Get the cache store for a user. The cache holds the session's auth details and the people
+ * and rooms loaded by previous commands.
+ *
+ * @param  {String} target The user name in the config.
+ * @return {JSONFileStore}
+ */
+function getStore(target = config.user) {
+    if(!stores[target]) {
+        const storePath = `${CACHE_PATH}.${target}.json`;
+
+        debug(`using cache at ${storePath}`);
+        stores[target] = new JSONFileStore(storePath);
+    }
+
+    return stores[target];
 }
 
-function loadCache(defaultCache) {
-    return Promise.try(() => {
-        debug(`loading cache from ${CACHE_PATH}`);
-        return fs.readFileAsync(CACHE_PATH, { encoding: "utf8" });
-    }).then(cache => {
-        return JSON.parse(cache);
-    }).catch(err => {
-        if(defaultCache) {
-            return defaultCache;
-        } else {
-            throw new Error("Unable to load cache.");
-        }
-    });
+/**
+ * Get the path of the scheduled messages file for a user (see `tw-chat schedule`).
+ *
+ * @param  {String} target The user name in the config.
+ * @return {String}
+ */
+export function getSchedulePath(target = config.user) {
+    return path.join(os.homedir(), `.twchatschedule.${target}.json`);
 }
 
-function clearCache() {
-    return fs.unlinkAsync(CACHE_PATH);
-}
+function chatFromCache(cache) {
+    return cache.load().then(() => {
+        return cache.get("session");
+    }).then(session => {
+        if(!session)
+            throw new Error("No session found in cache.");
 
-function chatFromCache() {
-    return loadCache().then((cache = {}) => {
-        const {
-            user: { api: { installation, auth } },
-            rooms, people
-        } = cache[config.user];
-
-        return TeamworkChat.fromAuth(installation, auth).tap(chat => {
-            // It's not imperative if the following calls complete successfully but it
-            // is imperative that we catch an errors occurring. If we don't, we leave
-            // a hanging TeamworkChat instance connected with an open socket and that's not good.
-            return Promise.try(() => {
-                people.forEach(chat.savePerson.bind(chat));
-                rooms.forEach(chat.saveRoom.bind(chat));
-            }).catch(err => {
-                debug(`error loading people and rooms data from cache`, err);
-            });
-        });
+        return TeamworkChat.fromAuth(session.installation, session.auth);
     });
 }
 
-function cacheFromChat(chat) {
-    return loadCache({}).then(cache => Object.assign(cache, {
-        [config.user]: {
-            user: chat,
-            rooms: unionBy(chat.rooms, cache.rooms, "id"),
-            people: unionBy(chat.people, cache.people, "id")
-        }
-    }));
-}
-
 export function getChat(user) {
     if(chatInstance)
         return Promise.resolve(chatInstance);
 
-    return chatFromCache().catch(err => {
-        debug("unable to load chat login details from auth, re-authenticating");
+    const cache = getStore(user);
+
+    return chatFromCache(cache).catch(err => {
+        debug("unable to load chat login details from cache, re-authenticating");
 
         user = getUser(user);
 
         debug("logging in with user: ", user)
 
-        return TeamworkChat.from(user);
-    }).tap(chat => chatInstance = chat);
+        return TeamworkChat.from(user).tap(chat => {
+            return cache.set("session", chat.api.toJSON());
+        });
+    }).tap(chat => {
+        chatInstance = chat;
+
+        // It's not imperative if restoring from the cache completes successfully but it
+        // is imperative that we catch an errors occurring. If we don't, we leave
+        // a hanging TeamworkChat instance connected with an open socket and that's not good.
+        return chat.useStore(cache).catch(err => {
+            debug(`error loading people and rooms data from cache`, err);
+        });
+    });
 }
 
 export function command(callback) {
@@ -112,9 +106,7 @@ export function command(callback) {
             chatInstance.close();
         }
     }).then(() => {
-        if(chatInstance) {
-            return cacheFromChat(chatInstance).then(saveCache);
-        }
+        return Promise.all(Object.keys(stores).map(target => stores[target].close()));
     }).catch(fail);
 }
 
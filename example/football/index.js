@@ -1,4 +1,4 @@
-import TeamworkChat from "../..";
+import TeamworkChat, { Bot, MessageBuilder } from "../..";
 
 // Soccer mondays bot: count who is playing and never again mess up the counts
 // To add yourself to the attending list:
@@ -8,50 +8,57 @@ import TeamworkChat from "../..";
 //      
 // To list the attendees:
 // 
-//      Adrian: @bot how many?
+//      Adrian: !count
 //         Bot: There are 2 attending: Adrian, Chris
 //         
 // To start again:
 // 
-//      Adrian: @bot start over
+//      Adrian: !reset
 //         Bot: @all count reset to 0
+//         
+// And to list the commands:
+// 
+//      Adrian: !help
 
-let attending = [];
+class FootballBot extends Bot {
+    attending = [];
 
-TeamworkChat.fromCredentials("http://<installation host>", "<username>", "<password>").then(chat => {
-    return chat.getRoomByTitle("Soccer Mondays!");
-}).then(room => {
-    // Listen for mentions to @bot inside the room
-    room.on("message:mention", (message) => {
-        // "@<bot> count me in!" to be added to the list
-        if(message.content.match(/count me (out|in)/)) {
+    constructor(chat, room) {
+        super(chat, { rooms: [ room.id ] });
+
+        this.command(/count me (out|in)/, { usage: "count me in|out", description: "add or remove yourself" }, (message, [, direction]) => {
             const person = message.author;
 
-            if(RegExp.$1 === "in") { // Count me in
-                if(attending.includes(person.firstName)) {
-                    return room.sendMessage(`@${person.handle}, you're already in`);
+            if(direction === "in") {
+                if(this.attending.includes(person.firstName)) {
+                    return new MessageBuilder().mention(person).text(", you're already in");
                 }
 
-                attending.push(person.firstName);
-            } else { // Count me out
-                attending = attending.filter(name => name !== person.firstName);
+                this.attending.push(person.firstName);
+            } else {
+                this.attending = this.attending.filter(name => name !== person.firstName);
             }
 
-            return room.sendMessage(`@${person.handle}, you're ${RegExp.$1}`);
-        }
-
-        // "@<bot> how many?" to get how many people attending
-        if(message.content.match(/how many/))
-            return room.sendMessage(
-                attending.length ? 
-                    `There ${attending.length === 1 ? "is" : "are"} ${attending.length} attending: ${attending.join(", ")}` :
-                    "There is nobody attending."
-            );
-
-        // "@<bot> start over" to restart the count
-        if(message.content.match(/start (?:again|over)/)) {
-            attending = [];
-            return room.sendMessage("@all count reset to 0");
-        }
+            return new MessageBuilder().mention(person).text(`, you're ${direction}`);
+        });
+
+        this.command("count", { description: "list who's attending" }, () => {
+            const { attending } = this;
+
+            return attending.length ? 
+                new MessageBuilder().text(`There ${attending.length === 1 ? "is" : "are"} ${attending.length} attending: ${attending.join(", ")}`) :
+                "There is nobody attending.";
+        });
+
+        this.command("reset", { description: "start the count again" }, () => {
+            this.attending = [];
+            return "@all count reset to 0";
+        });
+    }
+}
+
+TeamworkChat.fromCredentials("http://<installation host>", "<username>", "<password>").then(chat => {
+    return chat.getRoomByTitle("Soccer Mondays!").then(room => {
+        return new FootballBot(chat, room).start();
     });
 });
\ No newline at end of file
@@ -1,6 +1,4 @@
-import Promise from "bluebird";
-import { zipObject } from "lodash";
-import TeamworkChat, { HTTPError } from "../..";
+import TeamworkChat, { Transcript, HTTPError } from "../..";
 
 runTranscript("General", `
     @adrian: @all how's those reports coming?
@@ -11,36 +9,19 @@ runTranscript("General", `
 `);
 
 export function runTranscript(roomTitle, script) {
-    // Split up the script into { handle, line }
-    const lines = script.split("\n").filter(line => line.trim()).map(line => {
-        line = line.trim().split(":");
+    const transcript = Transcript.parseScript(script);
 
-        return {
-            handle: line[0].substr(1),
-            line: line[1].trim()
-        }
+    transcript.on("line", ({ handle, content }) => {
+        console.log(`@${handle}: ${content}`);
     });
 
     // Log in as the admin user
     return TeamworkChat.fromAuth("<installation>", "<auth>").then(admin => {
-        // Impersonate all the users involved in the script
-        return [admin, Promise.all(lines.map(({ handle }) => admin.impersonateByHandle(handle)))];
-    }).spread((admin, users) => {
-        // Get the room from the API
+        // Get the room from the API and replay the transcript, impersonating each person in it
         return admin.getRoomByTitle(roomTitle).then(room => {
-            // Get the room for all the individual, logged in users
-            return Promise.all(users.map(user => user.getRoom(room.id)));
-        }).then(rooms => {
-            // Map <handle>: <room>
-            rooms = zipObject(users.map(user => user.handle), rooms);
-
-            // Loop over each line and send the message to each room as each user
-            return Promise.mapSeries(lines, ({ handle, line }) => {
-                return rooms[handle].sendMessage(line);
-            });
+            return transcript.replay(admin, room.id, { interval: 500 });
         }).finally(() => {
-            // Close out the connections
-            users.forEach(user => user.close());
+            admin.close();
         });
     }).catch(HTTPError, error => {
         return error.body().then(body => {
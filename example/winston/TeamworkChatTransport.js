@@ -1,6 +1,6 @@
 import Promise from "bluebird";
 import winston, { Transport } from "winston";
-import TeamworkChat from "../..";
+import TeamworkChat, { MessageBuilder } from "../..";
 
 export default class Chat extends Transport {
     name = "TeamworkChat";
@@ -54,7 +54,7 @@ export default class Chat extends Transport {
     }
 
     static formatMessage(level, msg, meta) {
-        return `${(new Date).toString()} **[${level}]** ${msg}`;
+        return new MessageBuilder().text(`${(new Date).toString()} `).bold(`[${level}]`).text(` ${msg}`);
     }
 }
 
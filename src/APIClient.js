@@ -11,12 +11,19 @@ import {
     omit,
     size,
     merge,
+    range,
+    uniqBy,
+    flatten,
     omitBy,
     isEqual,
     isUndefined,
-    isPlainObject
+    isPlainObject,
+    pick
 } from "lodash";
 import logging from "./lib/logging";
+import { validateFrame, FrameValidationError, VALIDATION_MODES } from "./lib/frames";
+import OutboundQueue from "./lib/OutboundQueue";
+import { Histogram } from "./lib/metrics";
 import { indent } from "./util";
 import config from "../config.json";
 import pkg from "../package.json";
@@ -62,6 +69,29 @@ const PING_TIMEOUT = 3000;
  */
 export const STATUS_TYPES = ["idle", "active"];
 
+/**
+ * Socket requests that are sent immediately instead of through the outbound queue. Pings
+ * test the connection so there's no point buffering them.
+ *
+ * @type {Array}
+ */
+const UNQUEUED_REQUESTS = ["ping"];
+
+/**
+ * Queued socket requests that aren't retried when they time out or when the connection drops
+ * while they're in flight. The server may have acted on the first attempt (e.g. created the message) and it has no way to dedupe a second one.
+ *
+ * @type {Array}
+ */
+const UNRETRIED_REQUESTS = ["room.message.created"];
+
+/**
+ * The per-instance options that can be passed to the APIClient constructor (and `loginWith*`).
+ *
+ * @type {Array}
+ */
+export const CLIENT_OPTIONS = ["pingInterval", "pingTimeout", "pingMaxAttempts"];
+
 /**
  * Filter out these frames from output.
  * @type {Array}
@@ -99,10 +129,20 @@ let NONCE = 0;
  *          Emitted when the client recieves a "message" from the server and the contents
  *          of the message is parsed.
  *
+ *      "frame:invalid": ({Object} frame, {String[]} errors, {String} direction)
+ *
+ *          Emitted when an incoming or outgoing frame fails validation against the frame
+ *          registry (see lib/frames.js). In "strict" validation mode, the invalid incoming
+ *          frame is dropped and the invalid outgoing frame is rejected.
+ *
  *      "close":
  *
  *          Emitted when the connection to the server closes.
  *
+ *      "outbound:pending", "outbound:retry", "outbound:sent", "outbound:failed": ({Object} entry, ...)
+ *
+ *          Emitted as queued socket requests (e.g. sent messages) change state. See OutboundQueue.
+ *
  *      "error": ({Error} error)
  *
  *          Emitted when an error occurs within the API client (usually in the underlying
@@ -113,6 +153,48 @@ export default class APIClient extends EventEmitter {
     /** @type {Function} The implementation of the WebSocket class */
     static WebSocket = WebSocket;
 
+    /** @type {Function} The implementation of the Fetch API `fetch` function used for requests */
+    static fetch = fetch;
+
+    /** @type {String} The default frame validation mode for new instances. See VALIDATION_MODES in lib/frames.js. */
+    static frameValidation = "lenient";
+
+    /**
+     * The frame validation mode for this instance: "strict", "lenient" or "off".
+     *
+     * @type {String}
+     */
+    frameValidation = APIClient.frameValidation;
+
+    /** @type {Number} The default time in ms between pings for new instances. See PING_INTERVAL. */
+    static pingInterval = PING_INTERVAL;
+
+    /** @type {Number} The default ping timeout in ms for new instances. See PING_TIMEOUT. */
+    static pingTimeout = PING_TIMEOUT;
+
+    /** @type {Number} The default failed ping limit for new instances. See PING_MAX_ATTEMPT. */
+    static pingMaxAttempts = PING_MAX_ATTEMPT;
+
+    /** @type {Number} The time in ms between pings for this instance. */
+    pingInterval = APIClient.pingInterval;
+
+    /** @type {Number} The ping timeout in ms for this instance. */
+    pingTimeout = APIClient.pingTimeout;
+
+    /** @type {Number} The amount of failed pings before this instance closes the socket. */
+    pingMaxAttempts = APIClient.pingMaxAttempts;
+
+    /**
+     * Connection metrics: the ping round-trip latency (ms) histogram and the count of frames
+     * sent ("out") and received ("in") by frame name. See TeamworkChat#getMetrics.
+     *
+     * @type {Object}
+     */
+    metrics = {
+        latency: new Histogram(),
+        frames: { in: {}, out: {} }
+    };
+
     /**
      * The filters waiting to be matches to frames.
      *
@@ -120,6 +202,13 @@ export default class APIClient extends EventEmitter {
      */
     awaiting = [];
 
+    /**
+     * Whether the socket is connected and authenticated i.e. between "connected" and "close".
+     *
+     * @type {Boolean}
+     */
+    authenticated = false;
+
     /**
      * The current logged in user's account details returned from `me.json`
      * @type {Object}
@@ -131,14 +220,31 @@ export default class APIClient extends EventEmitter {
      *
      * @param  {String} installation The user's installation.
      * @param  {String} auth         The `tw-auth` token.
+     * @param  {String} socketServer The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object} options      Optional, override the instance's `pingInterval`, `pingTimeout` or `pingMaxAttempts`.
      * @return {APIClient}           The authorized APIClient instance.
      */
-    constructor(installation, auth, socketServer) {
+    constructor(installation, auth, socketServer, options = {}) {
         super();
 
         this.installation = installation;
         this.auth = auth;
         this.socketServer = socketServer;
+
+        Object.assign(this, pick(options, CLIENT_OPTIONS));
+
+        this.queue = new OutboundQueue(this.sendRequest.bind(this), () => this.authenticated && this.connected, {
+            isRetryable: type => !UNRETRIED_REQUESTS.includes(type)
+        });
+        ["pending", "retry", "sent", "failed"].forEach(event => {
+            this.queue.on(event, this.emit.bind(this, `outbound:${event}`));
+        });
+
+        // Flush anything queued while we were disconnected (or authenticating)
+        this.on("connected", () => {
+            this.authenticated = true;
+            this.queue.flush();
+        });
     }
 
     /**
@@ -153,10 +259,18 @@ export default class APIClient extends EventEmitter {
                 throw new Error("Socket is not connected to the server. Please reconnect.");
             }
 
+            if(typeof frame === "object" && !this.checkFrame(frame, "outgoing")) {
+                throw new FrameValidationError(frame, validateFrame(frame, "outgoing", { strict: true }));
+            }
+
             if(!DEBUG_FILTERED_FRAMES.includes(frame.name)) {
                 this.logger.info("sending message", { frame });
             }
 
+            if(typeof frame === "object") {
+                this.countFrame("out", frame);
+            }
+
             frame = typeof frame === "object" ? JSON.stringify(frame) : frame;
 
             this.socket.send(frame);
@@ -248,14 +362,34 @@ export default class APIClient extends EventEmitter {
 
     /**
      * Send a request down the socket. A "request" is a frame that receives a response (i.e.
-     * matching nonces).
+     * matching nonces). Requests go through the outbound queue (see `queue`) so requests made
+     * while the socket is disconnected (or authenticating) are sent once it reconnects and
+     * requests that time out are retried, except those that aren't safe to send twice (see
+     * UNRETRIED_REQUESTS) which fail with the timeout (or the socket error) instead.
      *
      * @param  {String} type        The type of the frame. See APICLient.createFrame.
      * @param  {Object} frame       The contents of the frame. See APICLient#createFrame.
      * @param  {Number} timeout     The number of ms before timing out the request.
-     * @return {Promise<Object>}    Resolves to the reponse frame.
+     * @return {Promise<Object>}    Resolves to the reponse frame. Queued requests have an `entry`
+     *                              property with the request's queue entry (and `state`).
      */
     socketRequest(type, frame, timeout) {
+        if(UNQUEUED_REQUESTS.includes(type)) {
+            return this.sendRequest(type, frame, timeout);
+        }
+
+        return this.queue.push(type, frame, timeout);
+    }
+
+    /**
+     * Send a request down the socket immediately, bypassing the outbound queue.
+     *
+     * @param  {String} type        The type of the frame. See APICLient.createFrame.
+     * @param  {Object} frame       The contents of the frame. See APICLient#createFrame.
+     * @param  {Number} timeout     The number of ms before timing out the request.
+     * @return {Promise<Object>}    Resolves to the reponse frame.
+     */
+    sendRequest(type, frame, timeout) {
         if(!DEBUG_FILTERED_FRAMES.includes(type)) {
             this.logger.debug(`socket request: ${type} (timeout = ${timeout})`, { frame });
         }
@@ -292,6 +426,13 @@ export default class APIClient extends EventEmitter {
                 this.logger.debug("incoming frame", { frame });
             }
 
+            if(!this.checkFrame(frame, "incoming")) {
+                this.logger.debug("dropping invalid frame", { frame });
+                return;
+            }
+
+            this.countFrame("in", frame);
+
             if(this.awaiting.length) {
                 this.awaiting.slice().forEach(filter => {
                     if(APIClient.matchFrame(filter.filter, frame)) {
@@ -308,11 +449,54 @@ export default class APIClient extends EventEmitter {
         }
     }
 
+    /**
+     * Count a frame in the metrics.
+     *
+     * @private
+     * @param  {String} direction   "in" or "out".
+     * @param  {Object} frame       The frame object.
+     */
+    countFrame(direction, { name }) {
+        const frames = this.metrics.frames[direction];
+        frames[name] = (frames[name] || 0) + 1;
+    }
+
+    /**
+     * Validate a frame against the frame registry according to the instance's `frameValidation`
+     * mode and emit `frame:invalid` if it fails.
+     *
+     * @param  {Object}  frame     The frame object.
+     * @param  {String}  direction "incoming" or "outgoing".
+     * @return {Boolean}           Whether or not the frame should be handled (or sent).
+     */
+    checkFrame(frame, direction) {
+        if(!VALIDATION_MODES.includes(this.frameValidation)) {
+            throw new Error(`Frame validation must be one of {${VALIDATION_MODES.join(", ")}}. Invalid mode: ${this.frameValidation}.`);
+        }
+
+        if(this.frameValidation === "off") {
+            return true;
+        }
+
+        const strict = this.frameValidation === "strict";
+        const errors = validateFrame(frame, direction, { strict });
+
+        if(!errors.length) {
+            return true;
+        }
+
+        this.logger.warn(`invalid ${direction} frame "${frame.name}"`, { frame, errors });
+        this.emit("frame:invalid", frame, errors, direction);
+
+        return !strict;
+    }
+
     /**
      * Event Handler: when the client's websocket emits "close"
      */
     onSocketClose(reason, code = "none", message = "none") {
         this.logger.info("socket closed");
+        this.authenticated = false;
         this.stopPing();
 
         // Reject any awaiting frames
@@ -495,15 +679,19 @@ export default class APIClient extends EventEmitter {
             this._nextPingReject = reject;
 
             // God, this hurts my promises but it's the only nice way to do standardized cancellation (A+)
-            // Send the ping down the socket and wait PING_INTERVAL before attempting the next ping.
+            // Send the ping down the socket and wait `pingInterval` before attempting the next ping.
             // We `delay` here instead of before the next, outside `then` so we can reject without
             // having a pending ping left.
-            this.ping().delay(PING_INTERVAL).then(resolve).catch(TimeoutError, err => {
-                if(attempt < PING_MAX_ATTEMPT) {
+            const sentAt = Date.now();
+
+            this.ping().tap(() => {
+                this.metrics.latency.observe(Date.now() - sentAt);
+            }).delay(this.pingInterval).then(resolve).catch(TimeoutError, err => {
+                if(attempt < this.pingMaxAttempts) {
                     this.logger.debug(`ping timed out, attempting again (attempt = ${attempt})`);
                     this.nextPing(attempt + 1);
                 } else {
-                    this.logger.debug(`third ping attempt failed, assuming socket connection is broken. Closing.`);
+                    this.logger.debug(`ping attempt ${attempt} failed, assuming socket connection is broken. Closing.`);
                     reject(err);
                 }
 
@@ -568,13 +756,23 @@ export default class APIClient extends EventEmitter {
      *
      * @param  {Room}       room    The target room to recieve the message.
      * @param  {Message}    message The message to send.
-     * @return {Promise<Object>}    The raw response frame returned from the server.
+     * @param  {Object}     file    Optional, an uploaded file to attach (see APIClient#uploadFile).
+     * @return {Promise<Object>}    The raw response frame returned from the server. The promise has an
+     *                              `entry` property with the outbound queue entry (see APIClient#socketRequest).
      */
-    sendMessage(room, message) {
-        return this.socketRequest("room.message.created", {
+    sendMessage(room, message, file) {
+        const contents = {
             roomId: room,
             body: message
-        }).then(({ contents }) => contents);
+        };
+
+        if(file) {
+            contents.file = file;
+        }
+
+        const request = this.socketRequest("room.message.created", contents);
+
+        return Object.assign(request.then(({ contents }) => contents), { entry: request.entry });
     }
 
     /**
@@ -660,11 +858,12 @@ export default class APIClient extends EventEmitter {
      * response from the server with the same contents sent. (I think we can come up with
      * a better name for this.)
      *
-     * @param  {Number} room        The room ID to send the room active frame for.
-     * @return {Promise<Object>}    Resolves to the response frame.
+     * @param  {Number}      room    The room ID to send the room active frame for.
+     * @param  {Date|moment} date    The time the user was active at i.e. read the room up to (default: now).
+     * @return {Promise<Object>}     Resolves to the response frame.
      */
-    activateRoom(room, date) {
-        const timestamp = (new Date()).toJSON();
+    activateRoom(room, date = new Date()) {
+        const timestamp = new Date(date.valueOf()).toJSON();
         return this.sendFrame("room.user.active", {
             roomId: room,
             date: timestamp
@@ -672,9 +871,8 @@ export default class APIClient extends EventEmitter {
             return this.awaitFrame({
                 type: "room.user.active",
                 contents: {
-                    date,
                     roomId: room,
-                    activeAt: timestamp
+                    date: timestamp
                 }
             });
         })
@@ -705,12 +903,12 @@ export default class APIClient extends EventEmitter {
 
     /**
      * Send a ping frame to the server. This socket request times out after
-     * PING_TIMEOUT and rejects the promise.
+     * `pingTimeout` and rejects the promise.
      *
-     * @param  {Number}         timeout The timeout before the socket request times out. Default: PING_TIMEOUT
+     * @param  {Number}         timeout The timeout before the socket request times out. Default: `pingTimeout`
      * @return {Promise<Object>}        Resolves to the recieved ping frame.
      */
-    ping(timeout = PING_TIMEOUT) {
+    ping(timeout = this.pingTimeout) {
         return this.socketRequest("ping", {}, timeout);
     }
 
@@ -724,8 +922,8 @@ export default class APIClient extends EventEmitter {
      * @return {Promise<Object|Response>}    Raw Response object or parsed JSON response.
      */
     static request(target, options = { raw: false }) {
-        // Default to JSON stringify body.
-        if(typeof options.body === "object") {
+        // Default to JSON stringify body (unless it's raw data like a Buffer).
+        if(isPlainObject(options.body)) {
             options.body = JSON.stringify(options.body);
             options.headers = {
                 ...options.headers,
@@ -745,7 +943,7 @@ export default class APIClient extends EventEmitter {
         }
 
         logger.debug(`>> ${options.method || "GET"} ${target}`, { target, options });
-        return Promise.try(fetch.bind(null, target, options)).then(res => {
+        return Promise.try(() => APIClient.fetch(target, options)).then(res => {
             logger.debug(res.status, res.statusText, { target, options });
             if(options.raw) return res;
             else {
@@ -916,6 +1114,16 @@ export default class APIClient extends EventEmitter {
         })
     }
 
+    /**
+     * GET /chat/v2/companies/<id>.json - Get a company by ID.
+     *
+     * @param  {Number}         id  The company's ID.
+     * @return {Promise<Object>}    The company object.
+     */
+    getCompany(id) {
+        return this.request(`/chat/v2/companies/${id}.json`).then(({ company }) => company);
+    }
+
     /**
      * POST /chat/rooms/:room/message.json - Create a new message via the API.
      *
@@ -936,6 +1144,66 @@ export default class APIClient extends EventEmitter {
         });
     }
 
+    /**
+     * PUT /chat/rooms/:room/messages/:message.json - Edit a message's body.
+     *
+     * @param  {Number} room     The room ID.
+     * @param  {Number} message  The message ID.
+     * @param  {String} body     The new message body.
+     * @return {Promise<Object>} Resolves when request is complete.
+     */
+    updateMessage(room, message, body) {
+        return this.request(`/chat/rooms/${room}/messages/${message}.json`, {
+            method: "PUT",
+            body: {
+                message: { body }
+            }
+        });
+    }
+
+    /**
+     * POST /chat/v2/files.json - Upload a file to be attached to a message.
+     *
+     * @param  {Buffer} data                The file contents.
+     * @param  {Object} options
+     * @param  {String} options.name        The file name.
+     * @param  {String} options.contentType The file's MIME type (default: "application/octet-stream").
+     * @return {Promise<Object>}            Resolves to the uploaded file descriptor { name, key, contentType }.
+     */
+    uploadFile(data, { name, contentType = "application/octet-stream" }) {
+        if(!name) {
+            throw new Error("Please supply a name for the uploaded file.");
+        }
+
+        return this.request("/chat/v2/files.json", {
+            method: "POST",
+            query: { name },
+            headers: {
+                "Content-Type": contentType,
+                "Content-Length": data.length
+            },
+            body: data
+        }).then(({ file }) => ({
+            name, contentType, ...file
+        }));
+    }
+
+    /**
+     * GET /chat/v2/files/<key> - Download an uploaded file.
+     *
+     * @param  {String} key      The file's key (see Message#file).
+     * @return {Promise<Buffer>} Resolves to the file contents.
+     */
+    downloadFile(key) {
+        return this.request(`/chat/v2/files/${encodeURIComponent(key)}`, { raw: true }).then(res => {
+            if(!res.ok) {
+                throw new HTTPError(res.status, res.statusText, res);
+            }
+
+            return res.buffer();
+        });
+    }
+
     /**
      * DELETE /chat/rooms/:chat/messages.json - Delete muliple messages from a room.
      *
@@ -1107,6 +1375,25 @@ export default class APIClient extends EventEmitter {
         });
     }
 
+    /**
+     * GET /chat/v2/conversations.json - Return all the conversations, requesting every page.
+     *
+     * @param  {Object}  filter          See APIClient#getRooms.
+     * @param  {Number}  limit           The number of conversations to request per page.
+     * @return {Promise<Array>}          The list of conversations.
+     */
+    getAllRooms(filter, limit = 50) {
+        return this.getRooms(filter, 0, limit).then(rooms => {
+            // The server may cap the page size so use the limit it returns
+            const pageSize = rooms.limit || limit;
+            const offsets = range(pageSize, rooms.total || 0, pageSize);
+
+            return Promise.mapSeries(offsets, offset => this.getRooms(filter, offset, pageSize)).then(rest => {
+                return uniqBy(rooms.concat(flatten(rest)), "id");
+            });
+        });
+    }
+
     /**
      * GET /chat/v2/messages.json - Get a logged in user's messages (without room).
      *
@@ -1273,15 +1560,16 @@ export default class APIClient extends EventEmitter {
      * @param  {String}         username      The user's username.
      * @param  {String}         password      The user's password.
      * @param  {String}         socketServer  The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options       Optional, the APIClient options. See APIClient#constructor.
      * @return {Promise<APIClient>}          Resolves to a new instance of APIClient that can make authenticated requests
      *                                       as the user. The user's details can be access at `APIClient.user`.
      */
-    static loginWithCredentials(installation, username, password, socketServer) {
+    static loginWithCredentials(installation, username, password, socketServer, options) {
         installation = APIClient.normalizeInstallation(installation);
 
         logger.info(`attempting to login with ${username} to ${installation}.`);
         return APIClient.login(installation, username, password).then(auth => {
-            return (new APIClient(installation, auth, socketServer)).connect();
+            return (new APIClient(installation, auth, socketServer, options)).connect();
         });
     }
 
@@ -1291,14 +1579,15 @@ export default class APIClient extends EventEmitter {
      * @param  {String|Object}  installation  The user's installation.
      * @param  {String}         auth          The user's auth key (this will fail if the auth key is invalid or expired).
      * @param  {String}         socketServer  The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options       Optional, the APIClient options. See APIClient#constructor.
      * @return {Promise<APIClient>}           Resolves to a new instance of APIClient that can make authenticated requests
      *                                        as the user. The user's details can be access at `APIClient.user`.
      */
-    static loginWithAuth(installation, auth, socketServer) {
+    static loginWithAuth(installation, auth, socketServer, options) {
         installation = APIClient.normalizeInstallation(installation);
 
         logger.info(`attempting to login with auth key "${auth}" to ${installation}`);
-        const api = new APIClient(installation, auth, socketServer);
+        const api = new APIClient(installation, auth, socketServer, options);
 
         return api.connect();
     }
@@ -1309,11 +1598,12 @@ export default class APIClient extends EventEmitter {
      * @param  {String|Object}  installation  The user's installation.
      * @param  {String}         key           The "API Key".
      * @param  {String}         socketServer  The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options       Optional, the APIClient options. See APIClient#constructor.
      * @return {Promise<APIClient>}  Resolves to an authenticated APIClient instance.
      */
-    static loginWithKey(installation, key, socketServer) {
+    static loginWithKey(installation, key, socketServer, options) {
         // This method of logging is caarrraaazzzzyyy.
-        return APIClient.loginWithCredentials(installation, key, "club-lemon", socketServer);
+        return APIClient.loginWithCredentials(installation, key, "club-lemon", socketServer, options);
     }
 
     /**
@@ -1324,6 +1614,8 @@ export default class APIClient extends EventEmitter {
      *  * "installation", "username", "password" - The installation and user's username and password.
      *  * "installation", "token" - The installation and user's API token.
      *
+     * Any APIClient options (see APIClient#constructor) in the object are passed to the new instance.
+     *
      * @param  {Object} details Object containing the above keys.
      * @return {Promise<APIClient>}  Resolves to an authenticated APIClient instance.
      */
@@ -1331,12 +1623,14 @@ export default class APIClient extends EventEmitter {
         if(!details.installation)
             throw new Error("Installation must be provided.");
 
+        const options = pick(details, CLIENT_OPTIONS);
+
         if(details.key) {
-            return APIClient.loginWithKey(details.installation, details.key, details.socketServer);
+            return APIClient.loginWithKey(details.installation, details.key, details.socketServer, options);
         } else if(details.auth) {
-            return APIClient.loginWithAuth(details.installation, details.auth, details.socketServer);
+            return APIClient.loginWithAuth(details.installation, details.auth, details.socketServer, options);
         } else if(details.username && details.password) {
-            return APIClient.loginWithCredentials(details.installation, details.username, details.password, details.socketServer);
+            return APIClient.loginWithCredentials(details.installation, details.username, details.password, details.socketServer, options);
         } else {
             throw new Error("Unknown login details.");
         }
@@ -0,0 +1,119 @@
+import { without, isMatch } from "lodash";
+import EventEmitter from "./lib/EventEmitter";
+
+/**
+ * Company model. Companies are populated from the `company` field on people
+ * returned from the API and updated from the `company.*` frames.
+ *
+ * Events:
+ *
+ *  "updated": ({Company} company, {Object} changes)
+ *
+ *      Emitted when the company object has been updated.
+ *
+ *  "person:new": ({Person} person)
+ *
+ *      Emitted when a person is added to the company.
+ *
+ *  "person:deleted": ({Person} person)
+ *
+ *      Emitted when a person is removed from the company.
+ *
+ */
+export default class Company extends EventEmitter {
+    /** @type {Number} The company ID. */
+    id;
+
+    /** @type {String} The company name. */
+    name;
+
+    /** @type {Person[]} The people (loaded in memory) that belong to the company. */
+    people = [];
+
+    /**
+     * Create a new Company.
+     *
+     * @param  {Object} details Optional, the company details to pass to Company#update.
+     * @return {Company}
+     */
+    constructor(details) {
+        super();
+
+        if(details) {
+            this.update(details);
+        }
+    }
+
+    /**
+     * Update the company object. The `updated` event is only emitted if the details
+     * change because the company is saved every time a person in it is saved.
+     *
+     * @param  {Object} details The company details (from the API).
+     * @return {Company}        The current company instance.
+     */
+    update(details) {
+        const changes = { ...details };
+
+        if(details.id) {
+            changes.id = parseInt(details.id);
+        }
+
+        if(!isMatch(this, changes)) {
+            Object.assign(this, changes);
+            this.emit("updated", this, changes);
+        }
+
+        return this;
+    }
+
+    /**
+     * Add a person to the company (if they're not already added).
+     *
+     * @param  {Person} person The person to add.
+     * @return {Person}        The added person.
+     */
+    addPerson(person) {
+        if(!this.people.includes(person)) {
+            this.people.push(person);
+            this.emit("person:new", person);
+        }
+
+        return person;
+    }
+
+    /**
+     * Remove a person from the company.
+     *
+     * @param  {Person} person The person to remove.
+     * @return {Person}        The removed person.
+     */
+    deletePerson(person) {
+        if(this.people.includes(person)) {
+            this.people = without(this.people, person);
+            this.emit("person:deleted", person);
+        }
+
+        return person;
+    }
+
+    /**
+     * Serialize the company.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name
+        };
+    }
+
+    /**
+     * Convert the Company to a useful debug string (`util.inspect`).
+     *
+     * @return {String}
+     */
+    inspect() {
+        return `Company{id = ${this.id}, "${this.name}", peopleCount = ${this.people.length}}`;
+    }
+}
\ No newline at end of file
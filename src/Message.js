@@ -1,5 +1,20 @@
+import fs from "fs";
+import Promise from "bluebird";
 import moment from "moment";
-import { omit } from "lodash";
+import { omit, uniq, values } from "lodash";
+import { parseMessage, tokensToText } from "./util/parser";
+import MessageBuilder from "./MessageBuilder";
+
+const writeFile = Promise.promisify(fs.writeFile);
+
+// The cached tokens for each message, kept off the instance so they aren't copied or serialized
+const parsedMessages = new WeakMap();
+
+// The maximum length of the excerpt quoted in replies
+const EXCERPT_LENGTH = 80;
+
+// The quote at the start of a reply: "> @handle (#id): excerpt" (the ID is optional)
+const REPLY_QUOTE = /^> @([\w.-]+)(?: \(#(\d+)\))?: (.*)(?:\n|$)/;
 
 export default class Message {
     /** @type {String} The message content. */
@@ -24,7 +39,7 @@ export default class Message {
      */
     status;
 
-    /** @type {Object} The message's file information. */
+    /** @type {Object} The message's file information: { name, key, contentType }. Empty if no file attached. */
     file;
 
     /** @type {moment} The timestamp the message was created at. */
@@ -36,6 +51,18 @@ export default class Message {
     /** @type {Boolean} Flag whether the user's account who created the message still exists. */
     isUserActive;
 
+    /** @type {moment} The timestamp the message was last edited at (if ever). */
+    editedAt = null;
+
+    /** @type {Message[]} The previous versions of the message, oldest first. */
+    revisions = [];
+
+    /** @type {Boolean} Flag whether the message was missed while disconnected and replayed on reconnect. */
+    replayed = false;
+
+    /** @type {Number} The ID of the message this message replies to (see Message#reply), or null. */
+    replyToId = null;
+
     /**
      * Create a new Message.
      * 
@@ -55,12 +82,274 @@ export default class Message {
      * @return {Message}         The current message instance.
      */
     update(details = {}) {
-        return Object.assign(this, omit(details, "body", "createdAt"), {
-            content: details.body,
-            createdAt: moment(details.createdAt)
+        const overrides = {};
+
+        // Partial updates (e.g. `room.message.updated` frames with only third party
+        // cards) don't contain the body so we don't want to wipe the content.
+        if(details.hasOwnProperty("body")) {
+            overrides.content = details.body;
+        }
+
+        if(details.createdAt || !this.createdAt) {
+            overrides.createdAt = moment(details.createdAt);
+        }
+
+        if(details.editedAt) {
+            overrides.editedAt = moment(details.editedAt);
+        }
+
+        return Object.assign(this, omit(details, "body", "createdAt", "editedAt"), overrides);
+    }
+
+    /**
+     * Create a snapshot copy of the message. The revisions are not copied.
+     *
+     * @return {Message} The copied message.
+     */
+    clone() {
+        return Object.assign(new Message(), this, { revisions: [] });
+    }
+
+    /**
+     * Whether the message has a file attached.
+     *
+     * @return {Boolean}
+     */
+    get hasFile() {
+        return !!(this.file && this.file.key);
+    }
+
+    /**
+     * The parsed message content (see util/parser). Mentioned handles are resolved to the people in
+     * the message's room or, failing that, anyone loaded in TeamworkChat. The tokens are cached
+     * until the content changes.
+     *
+     * @return {Object[]}
+     */
+    get tokens() {
+        let parsed = parsedMessages.get(this);
+
+        if(!parsed || parsed.content !== this.content) {
+            parsed = {
+                content: this.content,
+                tokens: parseMessage(this.content, { resolve: handle => findPerson(this.room, handle) })
+            };
+
+            parsedMessages.set(this, parsed);
+        }
+
+        return parsed.tokens;
+    }
+
+    /**
+     * The people mentioned in the message (excludes unknown handles and @all).
+     *
+     * @return {Person[]}
+     */
+    get mentions() {
+        return uniq(findTokens(this.tokens, "mention").map(token => token.person).filter(Boolean));
+    }
+
+    /**
+     * Whether the message mentions @all.
+     *
+     * @return {Boolean}
+     */
+    get mentionsAll() {
+        return findTokens(this.tokens, "all").length > 0;
+    }
+
+    /**
+     * The URLs linked in the message.
+     *
+     * @return {String[]}
+     */
+    get links() {
+        return findTokens(this.tokens, "link").map(token => token.url);
+    }
+
+    /**
+     * The fenced code blocks in the message.
+     *
+     * @return {Object[]} The code blocks: { code, language }.
+     */
+    get codeBlocks() {
+        return findTokens(this.tokens, "codeblock").map(({ code, language }) => ({ code, language }));
+    }
+
+    /**
+     * A short, single line plain text excerpt of the message (as quoted in replies).
+     *
+     * @return {String}
+     */
+    get excerpt() {
+        const text = tokensToText(this.tokens).replace(/\u200B/g, "").replace(/\s+/g, " ").trim();
+
+        return text.length > EXCERPT_LENGTH ? `${text.substr(0, EXCERPT_LENGTH - 1).trim()}…` : text;
+    }
+
+    /**
+     * The message this message replies to, if it's in memory. Replies are recognised by the quote
+     * they start with (see Message#quote) which refers to the message by ID. Quotes without an ID
+     * (e.g. typed by hand) are matched by author and excerpt, which is only best-effort: identical
+     * or edited messages may match the wrong message or none.
+     *
+     * @return {Message}
+     */
+    get replyTo() {
+        return this.replyToId !== null && this.room ? this.room.findMessageById(this.replyToId) : undefined;
+    }
+
+    /**
+     * The people who have seen the message. See Room#getSeenBy.
+     *
+     * @return {Person[]}
+     */
+    get seenBy() {
+        return this.getRoom().getSeenBy(this);
+    }
+
+    /**
+     * Quote the message: a quoted excerpt of the message with a mention of the author and the
+     * message ID e.g. "> @peter (#52): howya lad".
+     *
+     *      message.quote().text("I disagree");
+     *
+     * @return {MessageBuilder}
+     */
+    quote() {
+        const handle = this.author && typeof this.author === "object" ? this.author.handle : null;
+
+        if(!handle) {
+            throw new Error(`Unable to quote message ${this.id}, the author is not loaded.`);
+        }
+
+        return new MessageBuilder().quote(new MessageBuilder().mention(handle).text(` (#${this.id}): ${this.excerpt}`));
+    }
+
+    /**
+     * Reply to the message in it's room. The reply starts with the quoted message (see Message#quote)
+     * so other clients can tell what it replies to (see Message#replyTo).
+     *
+     * @param  {String|MessageBuilder} content  The reply content.
+     * @return {Promise<Message>}               Resolves to the reply (the first message, if the reply was split).
+     */
+    reply(content) {
+        return Promise.try(() => {
+            return this.getRoom().sendMessage(this.quote().append(content));
+        }).then(([ message ]) => {
+            message.replyToId = this.id;
+            return message;
+        });
+    }
+
+    /**
+     * Parse the quote at the start of a reply (see Message#quote).
+     *
+     * @param  {String} content The message content.
+     * @return {Object}         The quote, { handle, id, excerpt }, or null if the message doesn't start with
+     *                          a quote. The `id` is null for quotes without the message ID.
+     */
+    static parseQuote(content) {
+        const match = (content || "").match(REPLY_QUOTE);
+
+        if(!match) {
+            return null;
+        }
+
+        return {
+            handle: match[1],
+            id: match[2] ? parseInt(match[2], 10) : null,
+            excerpt: tokensToText(parseMessage(match[3])).replace(/\u200B/g, "")
+        };
+    }
+
+    /**
+     * Download the message's attached file.
+     *
+     * @param  {String} destination     Optional, the path to write the file to.
+     * @return {Promise<Buffer|String>} Resolves to the file contents or the destination path if
+     *                                  `destination` is supplied.
+     */
+    downloadFile(destination) {
+        return Promise.try(() => {
+            if(!this.hasFile) {
+                throw new Error(`Message ${this.id} has no file attached.`);
+            }
+
+            return this.getRoom().api.downloadFile(this.file.key);
+        }).then(data => {
+            if(destination) {
+                return writeFile(destination, data).return(destination);
+            }
+
+            return data;
         });
     }
 
+    /**
+     * Edit the message's content.
+     *
+     * @param  {String} content   The new content.
+     * @return {Promise<Message>} Resolves to the updated message.
+     */
+    edit(content) {
+        return this.getRoom().editMessage(this, content);
+    }
+
+    /**
+     * Delete the message from it's room.
+     *
+     * @return {Promise<Message>} Resolves to the deleted message.
+     */
+    delete() {
+        return this.getRoom().deleteMessage(this);
+    }
+
+    /**
+     * Undelete the message in it's room.
+     *
+     * @return {Promise<Message>} Resolves to the restored message.
+     */
+    undelete() {
+        return this.getRoom().undeleteMessage(this);
+    }
+
+    /**
+     * Get the room the message belongs to. Messages created outside of a Room
+     * (e.g. `new Message("hello")`) have no room and can't be acted upon.
+     *
+     * @private
+     * @return {Room}
+     */
+    getRoom() {
+        if(!this.room) {
+            throw new Error(`Message ${this.id} is not attached to a room.`);
+        }
+
+        return this.room;
+    }
+
+    /**
+     * Serialize the message. The serialized message can be passed back to Room#saveMessage.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            roomId: this.roomId,
+            userId: this.userId,
+            body: this.content,
+            status: this.status,
+            file: this.file,
+            thirdPartyCards: this.thirdPartyCards,
+            createdAt: this.createdAt,
+            editedAt: this.editedAt,
+            replyToId: this.replyToId
+        };
+    }
+
     /**
      * Convert to usable string output for `console.log`.
      * @return {String}
@@ -68,4 +357,38 @@ export default class Message {
     inspect() {
         return `Message{id = ${this.id}, "${this.content}"}`;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Find a person by handle in a room or the TeamworkChat instance the room belongs to.
+ *
+ * @private
+ * @param  {Room}   room    The room (may be undefined).
+ * @param  {String} handle  The handle.
+ * @return {Person}
+ */
+function findPerson(room, handle) {
+    if(!room) {
+        return null;
+    }
+
+    const matches = person => !!person.handle && person.handle.toLowerCase() === handle.toLowerCase();
+    const { user } = room.api || {};
+
+    return room.people.find(matches) || (user && user.people ? values(user.people).find(matches) : null) || null;
+}
+
+/**
+ * Find all the tokens of a type, including those nested in bold and italic tokens.
+ *
+ * @private
+ * @param  {Object[]} tokens The tokens.
+ * @param  {String}   type   The token type.
+ * @return {Object[]}
+ */
+function findTokens(tokens, type) {
+    return tokens.reduce((found, token) => found.concat(
+        token.type === type ? [ token ] : [],
+        token.children ? findTokens(token.children, type) : []
+    ), []);
+}
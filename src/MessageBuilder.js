@@ -0,0 +1,283 @@
+import { escapeMarkup } from "./util/parser";
+
+/**
+ * The default maximum length of a message body. Longer messages are split by MessageBuilder#build.
+ *
+ * @type {Number}
+ */
+export const MAX_MESSAGE_LENGTH = 10000;
+
+/**
+ * Build formatted messages. Text passed to the builder is escaped (see util/parser#escapeMarkup) so
+ * user content can't inject markup or mentions. Builders can be passed to Room#sendMessage (and
+ * returned from Bot commands) directly.
+ *
+ *      const message = new MessageBuilder()
+ *          .mention(person).text(", the build ").bold("failed").text(":")
+ *          .codeBlock(output, "sh")
+ *          .list(["Retry with !build", "See the logs"]);
+ *
+ *      room.sendMessage(message);
+ *
+ * Formatting methods also accept another MessageBuilder to nest formatting e.g.
+ * `.bold(new MessageBuilder().mention(person))`.
+ */
+export default class MessageBuilder {
+    /** @type {String[]} The message parts. Parts are only split over multiple messages if they're too long. */
+    parts = [];
+
+    /**
+     * Create a new MessageBuilder.
+     *
+     * @param  {Object} options             Builder options.
+     * @param  {Number} options.maxLength   The maximum length of a message (default: MAX_MESSAGE_LENGTH).
+     * @return {MessageBuilder}
+     */
+    constructor({ maxLength = MAX_MESSAGE_LENGTH } = {}) {
+        this.maxLength = maxLength;
+    }
+
+    /**
+     * Add (escaped) text.
+     *
+     * @param  {String|MessageBuilder} text The text.
+     * @return {MessageBuilder}
+     */
+    text(text) {
+        return this.add(format(text));
+    }
+
+    /**
+     * Add text without escaping it.
+     *
+     * @param  {String} markup The raw text.
+     * @return {MessageBuilder}
+     */
+    raw(markup) {
+        return this.add(String(markup));
+    }
+
+    /**
+     * Add a mention.
+     *
+     * @param  {Person|String} person The person or their handle (without the `@`).
+     * @return {MessageBuilder}
+     */
+    mention(person) {
+        return this.add(`@${typeof person === "string" ? person : person.handle}`);
+    }
+
+    /**
+     * Mention everyone in the room.
+     *
+     * @return {MessageBuilder}
+     */
+    mentionAll() {
+        return this.add("@all");
+    }
+
+    /**
+     * @param  {String|MessageBuilder} text The text.
+     * @return {MessageBuilder}
+     */
+    bold(text) {
+        return this.add(`**${format(text)}**`);
+    }
+
+    /**
+     * @param  {String|MessageBuilder} text The text.
+     * @return {MessageBuilder}
+     */
+    italic(text) {
+        return this.add(`_${format(text)}_`);
+    }
+
+    /**
+     * Add an inline code span. The code isn't escaped but backticks are replaced with quotes.
+     *
+     * @param  {String} code The code.
+     * @return {MessageBuilder}
+     */
+    code(code) {
+        return this.add(`\`${String(code).replace(/`/g, "'")}\``);
+    }
+
+    /**
+     * Add a fenced code block. The code isn't escaped but fences (```) are replaced with quotes. Code
+     * blocks that are too long for one message are split into multiple blocks at line breaks.
+     *
+     * @param  {String} code        The code.
+     * @param  {String} language    Optional, the language e.g. "js".
+     * @return {MessageBuilder}
+     */
+    codeBlock(code, language = "") {
+        const open = "```" + language + "\n";
+        const close = "\n```";
+        const chunks = splitText(String(code).replace(/```/g, "'''"), this.maxLength - open.length - close.length - 2);
+
+        chunks.forEach(chunk => this.block(open + chunk + close));
+
+        return this;
+    }
+
+    /**
+     * Add a quote.
+     *
+     * @param  {String|MessageBuilder} text The quoted text.
+     * @return {MessageBuilder}
+     */
+    quote(text) {
+        return this.block(format(text).split("\n").map(line => `> ${line}`).join("\n"));
+    }
+
+    /**
+     * Add a bulleted (or numbered) list.
+     *
+     * @param  {Array<String|MessageBuilder>} items             The list items.
+     * @param  {Object}                       options
+     * @param  {Boolean}                      options.ordered   Number the items (default: false).
+     * @return {MessageBuilder}
+     */
+    list(items, { ordered = false } = {}) {
+        return this.block(items.map((item, i) => `${ordered ? `${i + 1}.` : "-"} ${format(item)}`).join("\n"));
+    }
+
+    /**
+     * Add a table.
+     *
+     * @param  {Array<Array<String|MessageBuilder>>} rows               The table rows.
+     * @param  {Object}                              options
+     * @param  {Array<String|MessageBuilder>}        options.headers    Optional, the column headings.
+     * @return {MessageBuilder}
+     */
+    table(rows, { headers } = {}) {
+        const row = cells => `| ${cells.map(cell => format(cell).replace(/\n/g, " ")).join(" | ")} |`;
+        const lines = rows.map(row);
+
+        if(headers) {
+            lines.unshift(row(headers), row(headers.map(() => "---")));
+        }
+
+        return this.block(lines.join("\n"));
+    }
+
+    /**
+     * Add line breaks.
+     *
+     * @param  {Number} count The number of line breaks (default: 1).
+     * @return {MessageBuilder}
+     */
+    newline(count = 1) {
+        return this.add("\n".repeat(count));
+    }
+
+    /**
+     * Append another message. The parts of a builder are added as they are (so they're split
+     * the same way), strings are added without escaping like Room#sendMessage.
+     *
+     * @param  {String|MessageBuilder} message The message to append.
+     * @return {MessageBuilder}
+     */
+    append(message) {
+        if(message instanceof MessageBuilder) {
+            message.parts.forEach(part => this.add(part));
+            return this;
+        }
+
+        return this.raw(message);
+    }
+
+    /**
+     * Build the message bodies. Messages longer than `maxLength` are split between parts, at line
+     * breaks or spaces if a part itself is too long.
+     *
+     * @return {String[]} The message bodies.
+     */
+    build() {
+        const messages = [];
+        let current = "";
+
+        this.parts.forEach(part => {
+            if((current + part).length <= this.maxLength) {
+                current += part;
+                return;
+            }
+
+            messages.push(current);
+
+            const chunks = splitText(part, this.maxLength);
+            current = chunks.pop();
+            messages.push(...chunks);
+        });
+
+        messages.push(current);
+
+        return messages.map(message => message.trim()).filter(Boolean);
+    }
+
+    /**
+     * The whole message, unsplit.
+     *
+     * @return {String}
+     */
+    toString() {
+        return this.parts.join("").trim();
+    }
+
+    /**
+     * @private
+     * @param  {String} part The part to add.
+     * @return {MessageBuilder}
+     */
+    add(part) {
+        this.parts.push(part);
+        return this;
+    }
+
+    /**
+     * Add a part on its own line(s).
+     *
+     * @private
+     * @param  {String} part The part to add.
+     * @return {MessageBuilder}
+     */
+    block(part) {
+        const previous = this.parts[this.parts.length - 1];
+
+        return this.add(`${previous && !previous.endsWith("\n") ? "\n" : ""}${part}\n`);
+    }
+}
+
+/**
+ * Escape text unless it's built by another MessageBuilder.
+ *
+ * @private
+ * @param  {String|MessageBuilder} text The text.
+ * @return {String}
+ */
+function format(text) {
+    return text instanceof MessageBuilder ? text.toString() : escapeMarkup(text);
+}
+
+/**
+ * Split text into chunks no longer than `length`, at line breaks or else spaces where possible.
+ *
+ * @private
+ * @param  {String} text    The text.
+ * @param  {Number} length  The maximum chunk length.
+ * @return {String[]}
+ */
+function splitText(text, length) {
+    const chunks = [];
+
+    while(text.length > length) {
+        const newline = text.lastIndexOf("\n", length);
+        const space = text.lastIndexOf(" ", length);
+        const index = newline > 0 ? newline : space > 0 ? space : length;
+
+        chunks.push(text.slice(0, index));
+        text = text.slice(index).replace(/^[\n ]/, "");
+    }
+
+    return chunks.concat(text);
+}
@@ -29,6 +29,11 @@ import Room from "./Room";
  *      Emitted when the currently logged in user receives a message from the
  *      current Person object.
  *
+ *  "message:updated": ({Message} message, {Message} previous)
+ *
+ *      Emitted when a message in the direct conversation is updated. See Room's
+ *      "message:updated" event.
+ *
  */
 export default class Person extends EventEmitter {
     /** @type {Number} The user's id. */
@@ -84,8 +89,9 @@ export default class Person extends EventEmitter {
             this.room.addPerson(api.user);
             this.room.addPerson(this);
 
-            // Proxy the message listener
+            // Proxy the message listeners
             this.room.on("message", this.onMessage.bind(this));
+            this.room.on("message:updated", this.emit.bind(this, "message:updated"));
         }
 
         if(details) {
@@ -140,6 +146,11 @@ export default class Person extends EventEmitter {
             overrides.lastActivity = moment(details.lastActivityAt);
         }
 
+        // Serialized Person objects (see #toJSON)
+        if(details.lastActivity) {
+            overrides.lastActivity = moment(details.lastActivity);
+        }
+
         const merged = Object.assign(omit(details, [
             "lastActivityAt",
             "roomId"
@@ -169,13 +180,12 @@ export default class Person extends EventEmitter {
             return false;
         }
 
-        if(!this.handlerMatcher) {
-            // Cache the regex
-            this.handlerMatcher = new RegExp(`@${this.handle}`, "g");
-        }
+        // Test the parsed mentions (the handles, the people may not be resolvable)
+        const handle = this.handle.toLowerCase();
+        const isMention = token => (token.type === "mention" && token.handle.toLowerCase() === handle) ||
+            (!!token.children && token.children.some(isMention));
 
-        // Test the message content
-        return message.content.match(this.handlerMatcher);
+        return message.tokens.some(isMention);
     }
 
     /**
@@ -190,7 +200,11 @@ export default class Person extends EventEmitter {
             firstName: this.firstName,
             lastName: this.lastName,
             email: this.email,
-            lastActivity: this.lastActivity
+            lastActivity: this.lastActivity,
+            title: this.title,
+            status: this.status,
+            company: this.company,
+            roomId: this.room && this.room.id
         };
     }
 
@@ -1,11 +1,23 @@
+import fs from "fs";
+import path from "path";
 import { inspect } from "util";
 import Promise from "bluebird";
 import moment from "moment";
-import { values, size, omit, last, without } from "lodash";
+import { values, size, omit, last, findLast, without, isEqual, orderBy, sortedLastIndexBy } from "lodash";
 import EventEmitter from "./lib/EventEmitter";
 import Message from "./Message";
+import MessageBuilder from "./MessageBuilder";
 
-const MAX_MESSAGE_RETENTION = 50;
+export const MAX_MESSAGE_RETENTION = 50;
+
+const readFile = Promise.promisify(fs.readFile);
+
+/**
+ * The message properties that, when changed, constitute a message update.
+ *
+ * @type {Array}
+ */
+const MESSAGE_UPDATE_PROPERTIES = ["content", "status", "file", "thirdPartyCards"];
 
 /**
  * The Room model.
@@ -26,13 +38,42 @@ const MAX_MESSAGE_RETENTION = 50;
  *
  *      "message": ({Message} message)
  *
- *          Emitted when the room receives a new message.
+ *          Emitted when the room receives a new message. Messages missed while disconnected
+ *          are emitted in order after reconnecting with `message.replayed` set to true.
  *
  *      "message:received": ({Message} message)
  *
  *          Emitted when a room receives a message that is not from the
  *          currently logged in user.
  *
+ *      "unread:changed": ({Object} unread, {Object} previous)
+ *
+ *          Emitted when the room's unread counts change (see Room#unread).
+ *
+ *      "message:seen": ({Message} message, {Person} person)
+ *
+ *          Emitted when someone's activity in the room moves past a message from the
+ *          currently logged in user i.e. they've seen it. See Room#getSeenBy.
+ *
+ *      "message:reply": ({Message} message, {Message} original)
+ *
+ *          Emitted when someone replies (see Message#reply) to a message from the
+ *          currently logged in user.
+ *
+ *      "message:updated": ({Message} message, {Message} previous)
+ *
+ *          Emitted when a message in the room is edited or updated (e.g. third
+ *          party cards unfurled). `previous` is a snapshot of the message before
+ *          the update or `null` if the message wasn't in memory.
+ *
+ *      "message:deleted": ({Message} message)
+ *
+ *          Emitted when a message in the room is deleted (i.e. redacted).
+ *
+ *      "message:restored": ({Message} message)
+ *
+ *          Emitted when a deleted message in the room is undeleted.
+ *
  */
 export default class Room extends EventEmitter {
     /** @type {Number} The room ID. */
@@ -71,6 +112,9 @@ export default class Room extends EventEmitter {
     /** @type {Array} The messages store for this room. */
     messages = [];
 
+    /** @type {Object} The latest activity (i.e. read up to) time of the other people in the room, by ID. */
+    activity = {};
+
     /** @type {Array} The people in the room. */
     people = [];
 
@@ -109,13 +153,58 @@ export default class Room extends EventEmitter {
             return up;
         }, {});
 
+        const previous = this.unread;
+
         Object.assign(this, omit(details, "people"), timestamps);
 
         this.emit("updated", details);
 
+        if(!isEqual(previous, this.unread)) {
+            this.emit("unread:changed", this.unread, previous);
+        }
+
         return this;
     }
 
+    /**
+     * The room's unread message counts for the currently logged in user. The counts are loaded
+     * with the room and kept current as messages are received and the room is activated.
+     *
+     * @return {Object} { count {Number}, important {Number} }
+     */
+    get unread() {
+        return {
+            count: this.unreadCount || 0,
+            important: this.importantUnreadCount || 0
+        };
+    }
+
+    /**
+     * Whether the room has unread messages.
+     *
+     * @return {Boolean}
+     */
+    get isUnread() {
+        return this.unread.count > 0;
+    }
+
+    /**
+     * Update the unread counts locally (i.e. without the "updated" event).
+     *
+     * @private
+     * @param  {Number} unreadCount          The unread message count.
+     * @param  {Number} importantUnreadCount The important unread message count.
+     */
+    setUnread(unreadCount, importantUnreadCount) {
+        const previous = this.unread;
+
+        Object.assign(this, { unreadCount, importantUnreadCount });
+
+        if(!isEqual(previous, this.unread)) {
+            this.emit("unread:changed", this.unread, previous);
+        }
+    }
+
     /**
      * Update the title of the room with the API.
      *
@@ -198,21 +287,149 @@ export default class Room extends EventEmitter {
     /**
      * Event Handler: When a new message is sent to the room.
      *
-     * @param  {Message} message The new message object.
+     * @param  {Message} message            The new message object.
+     * @param  {Object}  options            Handler options.
+     * @param  {Boolean} options.replayed   Whether the message was missed while disconnected (see
+     *                                      TeamworkChat#getUpdates). Replayed messages already in the
+     *                                      room are ignored and new ones are flagged `replayed`.
+     * @return {Message}                    The message, or undefined if it was ignored.
      */
-    handleMessage(message) {
+    handleMessage(message, { replayed = false } = {}) {
+        if(replayed && this.findMessageById(message.id)) {
+            return;
+        }
+
         message = this.saveMessage(message);
+        message.replayed = replayed;
 
         this.emit("message", message);
 
+        const mentioned = this.api.user.isMentioned(message);
+
         if(message.author !== this.api.user) {
             this.emit("message:received", message);
+
+            // Replayed messages are already counted in the rooms loaded on reconnect
+            if(!replayed) {
+                const { count, important } = this.unread;
+
+                this.setUnread(count + 1, mentioned || this.type === "pair" ? important + 1 : important);
+            }
         }
 
         // Handle mentions
-        if(this.api.user.isMentioned(message)) {
+        if(mentioned) {
             this.emit("message:mention", message);
         }
+
+        // Handle replies to our messages
+        const original = message.replyTo;
+
+        if(original && original.author === this.api.user && message.author !== this.api.user) {
+            this.emit("message:reply", message, original);
+        }
+
+        return message;
+    }
+
+    /**
+     * Event Handler: When a message in the room is updated. Updates to messages that aren't in
+     * memory (or in the latest messages) are skipped, the frame doesn't have enough of the
+     * message to create it.
+     *
+     * @param  {Object} rawMessage  The updated message details (i.e. `room.message.updated` frame contents).
+     * @return {Promise<Message>}   Resolves to the updated message or null if the update was skipped.
+     */
+    handleUpdatedMessage(rawMessage) {
+        return Promise.try(() => {
+            const message = this.findMessageById(rawMessage.id);
+
+            if(message) {
+                return message.clone();
+            }
+
+            // If we don't have the message in memory, we attempt to load it from the latest
+            // messages. We have no record of the message before the update so there's no previous.
+            return this.getMessages().return(null);
+        }).then(previous => {
+            if(!previous && !this.findMessageById(rawMessage.id)) {
+                return null;
+            }
+
+            const message = this.saveMessage(rawMessage);
+
+            if(previous) {
+                if(!hasMessageChanged(previous, message)) {
+                    // We've already applied this update (e.g. the frame for our own edit).
+                    return message;
+                }
+
+                message.revisions.push(previous);
+            }
+
+            this.emit("message:updated", message, previous);
+
+            return message;
+        });
+    }
+
+    /**
+     * Edit the content of a message in the room.
+     *
+     * @param  {Message|Number} message The message or message ID.
+     * @param  {String}         content The new message content.
+     * @return {Promise<Message>}       Resolves to the updated message (or null if it isn't in memory).
+     */
+    editMessage(message, content) {
+        const id = typeof message === "object" ? message.id : message;
+
+        return this.api.updateMessage(this.id, id, content).then(() => {
+            return this.handleUpdatedMessage({
+                id, body: content,
+                editedAt: new Date()
+            });
+        });
+    }
+
+    /**
+     * Event Handler: When messages in the room are deleted.
+     *
+     * @param  {Number[]} ids   The deleted message IDs.
+     * @return {Message[]}      The deleted messages that are in memory.
+     */
+    handleDeletedMessages(ids) {
+        return this.updateMessagesStatus(ids, "redacted", "message:deleted");
+    }
+
+    /**
+     * Event Handler: When deleted messages in the room are undeleted.
+     *
+     * @param  {Number[]} ids   The restored message IDs.
+     * @return {Message[]}      The restored messages that are in memory.
+     */
+    handleRestoredMessages(ids) {
+        return this.updateMessagesStatus(ids, "active", "message:restored");
+    }
+
+    /**
+     * Update the status of messages in memory and emit an event for each
+     * message whose status changed. Messages not in memory are ignored.
+     *
+     * @private
+     * @param  {Number[]} ids       The message IDs.
+     * @param  {String}   status    The new status, see Message#status.
+     * @param  {String}   eventName The event to emit for each changed message.
+     * @return {Message[]}          The messages in memory.
+     */
+    updateMessagesStatus(ids, status, eventName) {
+        return ids.map(id => this.findMessageById(parseInt(id))).filter(message => message).map(message => {
+            if(message.status !== status) {
+                message.update({ status });
+                this.emit(eventName, message);
+            }
+
+            return message;
+        });
     }
 
     /**
@@ -222,13 +439,15 @@ export default class Room extends EventEmitter {
      * @return {Message}          The newly added message.
      */
     addMessage(message) {
+        // Keep the messages in chronological order, backfilled history can arrive out of order.
+        const index = sortedLastIndexBy(this.messages, message, message => message.createdAt.valueOf());
+        this.messages.splice(index, 0, message);
+
         // Only hold the last MAX_MESSAGE_RETENTION message
-        if(this.messages.length >= MAX_MESSAGE_RETENTION) {
+        if(this.messages.length > MAX_MESSAGE_RETENTION) {
             this.messages.shift();
         }
 
-        this.messages.push(message);
-
         return message;
     }
 
@@ -246,6 +465,135 @@ export default class Room extends EventEmitter {
         });
     }
 
+    /**
+     * Iterate backwards through the room's message history, newest first, one page at a
+     * time. Messages that shift between pages while iterating are only yielded once. Messages
+     * already in the room (or new enough to be retained, see MAX_MESSAGE_RETENTION) are saved
+     * to the room (see Room#saveMessage), older history is yielded without being stored.
+     *
+     *      const messages = room.iterateMessages({ after: "2017-01-01" });
+     *
+     *      messages.next().then(({ value, done }) => ...);
+     *
+     * The iterator is also async iterable where `Symbol.asyncIterator` is supported.
+     *
+     * @param  {Object}             options             Iteration options.
+     * @param  {Moment|Date|String} options.before      Only yield messages created before this time.
+     * @param  {Moment|Date|String} options.after       Stop iterating at the first message created before this time.
+     * @param  {Number}             options.pageSize    The amount of messages to request per page (default: 50).
+     * @return {Object}                                 The iterator: { next: () => Promise<{ value: Message, done: Boolean }> }.
+     */
+    iterateMessages({ before, after, pageSize = 50 } = {}) {
+        before = before && moment(before);
+        after = after && moment(after);
+
+        const seen = new Set();
+        const buffer = [];
+        let page = 0;
+        let done = false;
+
+        const finish = () => {
+            done = true;
+            buffer.length = 0;
+            return { value: undefined, done: true };
+        };
+
+        const next = () => Promise.try(() => {
+            if(!this.initialized) {
+                throw new Error("Unable to get messages for uninitialized room.");
+            }
+
+            while(buffer.length) {
+                const rawMessage = buffer.shift();
+                const createdAt = moment(rawMessage.createdAt);
+
+                if(seen.has(rawMessage.id)) {
+                    continue;
+                }
+
+                seen.add(rawMessage.id);
+
+                if(after && createdAt.isBefore(after)) {
+                    return finish();
+                }
+
+                if(before && !createdAt.isBefore(before)) {
+                    continue;
+                }
+
+                return { value: this.saveHistoricMessage(rawMessage), done: false };
+            }
+
+            if(done) {
+                return finish();
+            }
+
+            page++;
+
+            return this.api.getMessages(this.id, { page, pageSize }).then(messages => {
+                const pageInfo = messages.page;
+                const isLastPage = pageInfo && pageInfo.pages ? page >= pageInfo.pages : messages.length < pageSize;
+
+                buffer.push(...orderBy(messages, [message => moment(message.createdAt).valueOf(), "id"], ["desc", "desc"]));
+                done = !messages.length || isLastPage;
+
+                return next();
+            });
+        });
+
+        const iterator = { next };
+
+        if(typeof Symbol.asyncIterator === "symbol") {
+            iterator[Symbol.asyncIterator] = () => iterator;
+        }
+
+        return iterator;
+    }
+
+    /**
+     * Get all messages in the room created between two times, fetching as many pages of history
+     * as required. See Room#iterateMessages.
+     *
+     * @param  {Moment|Date|String} start   The start time (inclusive).
+     * @param  {Moment|Date|String} end     The end time (exclusive, default: now).
+     * @return {Promise<Message[]>}         The messages, oldest first.
+     */
+    getMessagesBetween(start, end) {
+        const iterator = this.iterateMessages({ before: end, after: start });
+        const messages = [];
+
+        const collect = () => iterator.next().then(({ value, done }) => {
+            if(done) {
+                return messages;
+            }
+
+            messages.unshift(value);
+            return collect();
+        });
+
+        return collect();
+    }
+
+    /**
+     * Save a message from the room's history. Messages older than the retained messages (when
+     * the room already holds MAX_MESSAGE_RETENTION messages) aren't added to the room.
+     *
+     * @private
+     * @param  {Object} rawMessage The raw message returned from the API.
+     * @return {Message}           The saved message or, if it's too old to be retained, a new message.
+     */
+    saveHistoricMessage(rawMessage) {
+        const oldest = this.messages[0];
+        const isRetained = this.findMessageById(rawMessage.id) || this.messages.length < MAX_MESSAGE_RETENTION ||
+            moment(rawMessage.createdAt).isAfter(oldest.createdAt);
+
+        if(isRetained) {
+            return this.saveMessage(rawMessage);
+        }
+
+        return new Message(this.getMessageDetails(rawMessage));
+    }
+
     /**
      * Save or create a message to the room.
      *
@@ -254,18 +602,76 @@ export default class Room extends EventEmitter {
      */
     saveMessage(rawMessage) {
         const message = this.findMessageById(rawMessage.id);
-        const author = this.findPersonById(rawMessage.userId);
+        const details = this.getMessageDetails(rawMessage);
+
+        const saved = message ? message.update(details) : this.addMessage(new Message(details));
+
+        if(saved.replyToId === null) {
+            const original = this.findQuotedMessage(saved);
+            saved.replyToId = original ? original.id : null;
+        }
+
+        return saved;
+    }
+
+    /**
+     * Get the details to create (or update) a message with from a raw message.
+     *
+     * @private
+     * @param  {Object} rawMessage The raw message returned from the API.
+     * @return {Object}            The message details.
+     */
+    getMessageDetails(rawMessage) {
         const details = {
             ...rawMessage,
-            room: this,
-            author: author || rawMessage.userId
+            room: this
         };
 
-        if(message) {
-            return message.update(details);
-        } else {
-            return this.addMessage(new Message(details));
+        // Partial updates (e.g. after an edit) don't include the author
+        if(rawMessage.userId) {
+            details.author = this.findPersonById(rawMessage.userId) || rawMessage.userId;
+        }
+
+        return details;
+    }
+
+    /**
+     * Get the replies (see Message#reply) to a message that are in memory.
+     *
+     * @param  {Message|Number} message The message or message ID.
+     * @return {Message[]}              The replies, oldest first.
+     */
+    getReplies(message) {
+        const id = typeof message === "object" ? message.id : message;
+        return this.messages.filter(reply => reply.replyToId === id);
+    }
+
+    /**
+     * Find the message quoted at the start of a reply by the ID in the quote. Without an ID, the
+     * quoted message is (best-effort) the latest message before the reply by the quoted author
+     * with the same excerpt.
+     *
+     * @private
+     * @param  {Message} reply  The reply.
+     * @return {Message}        The quoted message, if it's in memory.
+     */
+    findQuotedMessage(reply) {
+        const quote = Message.parseQuote(reply.content);
+
+        if(!quote) {
+            return;
+        }
+
+        if(quote.id !== null) {
+            return quote.id !== reply.id ? this.findMessageById(quote.id) : undefined;
         }
+
+        return findLast(this.messages, message => {
+            return message !== reply &&
+                !message.createdAt.isAfter(reply.createdAt) &&
+                message.author && message.author.handle === quote.handle &&
+                message.excerpt === quote.excerpt;
+        });
     }
 
     /**
@@ -278,6 +684,34 @@ export default class Room extends EventEmitter {
         });
     }
 
+    /**
+     * Delete a message from the room.
+     *
+     * @param  {Message|Number} message The message or message ID.
+     * @return {Promise<Message>}       Resolves to the deleted message (if in memory).
+     */
+    deleteMessage(message) {
+        const id = typeof message === "object" ? message.id : message;
+
+        return this.api.deleteMessage(this.id, id).then(() => {
+            return this.handleDeletedMessages([ id ])[0];
+        });
+    }
+
+    /**
+     * Undelete a deleted message from the room.
+     *
+     * @param  {Message|Number} message The message or message ID.
+     * @return {Promise<Message>}       Resolves to the restored message (if in memory).
+     */
+    undeleteMessage(message) {
+        const id = typeof message === "object" ? message.id : message;
+
+        return this.api.undeleteMessage(this.id, id).then(() => {
+            return this.handleRestoredMessages([ id ])[0];
+        });
+    }
+
     /**
      * Find a message in memory by ID.
      *
@@ -297,10 +731,18 @@ export default class Room extends EventEmitter {
      * to send it to otherwise. The API really should know to put the message into the pair
      * conversation but it doesn't look like it does.
      *
-     * @param  {String}  message     Message content.
-     * @return {Promise<Message>}    Resolves to the sent message.
+     * MessageBuilders are built and each message is sent in order (see MessageBuilder#build).
+     *
+     * @param  {String|MessageBuilder}  message Message content or a MessageBuilder.
+     * @return {Promise<Message>}               Resolves to the sent message (or the sent messages for MessageBuilders).
+     *                                          For initialized rooms, the promise has an `entry` property with the
+     *                                          message's outbound queue state (see APIClient#socketRequest).
      */
     sendMessage(message) {
+        if(message instanceof MessageBuilder) {
+            return Promise.mapSeries(message.build(), content => this.sendMessage(content));
+        }
+
         message = new Message(message);
 
         if(!this.initialized) {
@@ -310,7 +752,7 @@ export default class Room extends EventEmitter {
 
             return this.api.createRoom(participants, message.content).then(({ roomId }) => {
                 return this.api.getRoom(roomId);
-            }).then(({ room }) => {
+            }).then(room => {
                 this.update(omit(room, "people"));
 
                 // Unfortunately the API doesn't return the created message when it's a new room
@@ -318,19 +760,131 @@ export default class Room extends EventEmitter {
                 return this.getMessages();
             }).then(last);
         } else {
-            return this.api.sendMessage(this.id, message.content).then(message => {
-                return this.saveMessage(message);
-            });
+            const request = this.api.sendMessage(this.id, message.content);
+
+            // Expose the outbound queue entry so callers can track the message's state
+            return Object.assign(request.then(message => this.saveMessage(message)), { entry: request.entry });
         }
     }
 
+    /**
+     * Upload a file and send it as a message to the room.
+     *
+     * @param  {String|Buffer} file                 The path to the file or the file contents.
+     * @param  {Object}        options
+     * @param  {String}        options.name         The file name (required for Buffers, defaults to the path's basename).
+     * @param  {String}        options.contentType  The file's MIME type. See APIClient#uploadFile.
+     * @return {Promise<Message>}                   Resolves to the sent message.
+     */
+    sendFile(file, { name, contentType } = {}) {
+        if(!this.initialized)
+            return Promise.reject(new Error("Unable to send file to uninitialized room."));
+
+        return Promise.try(() => {
+            if(typeof file === "string") {
+                name = name || path.basename(file);
+                return readFile(file);
+            }
+
+            return file;
+        }).then(data => {
+            return this.api.uploadFile(data, { name, contentType });
+        }).then(upload => {
+            return this.api.sendMessage(this.id, "", upload);
+        }).then(message => {
+            return this.saveMessage(message);
+        });
+    }
+
     /**
      * Tell the server the currently logged in user is active in this room.
      *
+     * The room's unread counts are cleared.
+     *
      * @return {Promse} Resolves once the frame is sent (there is no ack/fire and forget).
      */
     activate() {
-        return this.api.activateRoom(this.id);
+        return Promise.resolve(this.api.activateRoom(this.id)).tap(() => {
+            this.setUnread(0, 0);
+        });
+    }
+
+    /**
+     * Mark the room read by the currently logged in user, up to a message or entirely. The room's
+     * `lastViewedAt` is updated and the unread counts are reloaded from the server once it
+     * acknowledges the activity (the room may have more unread messages than are in memory).
+     *
+     * @param  {Message} message Optional, the last message read (default: all messages).
+     * @return {Promise<Room>}   Resolves once the unread counts are updated.
+     */
+    markRead(message) {
+        const date = message ? message.createdAt : moment();
+
+        return Promise.resolve(this.api.activateRoom(this.id, date)).then(() => {
+            if(!this.lastViewedAt || date.isAfter(this.lastViewedAt)) {
+                this.lastViewedAt = moment(date);
+            }
+
+            return this.api.getRoom(this.id, { includeUsers: false });
+        }).then(({ unreadCount, importantUnreadCount }) => {
+            this.setUnread(unreadCount, importantUnreadCount);
+
+            return this;
+        });
+    }
+
+    /**
+     * Event Handler: When someone is active in the room (i.e. has read it up to `activeAt`). Activity
+     * from the currently logged in user (e.g. in another client) updates `lastViewedAt`, activity
+     * from anyone else emits "message:seen" for the currently logged in user's messages they've now seen.
+     *
+     * @param  {Number}         userId      The ID of the active person.
+     * @param  {String|moment}  activeAt    The time they were active at.
+     * @return {Message[]}                  The currently logged in user's messages newly seen by the person.
+     */
+    handleActivity(userId, activeAt) {
+        activeAt = moment(activeAt);
+
+        if(userId === this.api.user.id) {
+            if(!this.lastViewedAt || activeAt.isAfter(this.lastViewedAt)) {
+                this.lastViewedAt = activeAt;
+            }
+
+            return [];
+        }
+
+        const person = this.findPersonById(userId);
+        const previous = this.activity[userId];
+
+        if(!person || (previous && !activeAt.isAfter(previous))) {
+            return [];
+        }
+
+        this.activity[userId] = activeAt;
+
+        const seen = this.messages.filter(message => {
+            return message.author === this.api.user &&
+                !message.createdAt.isAfter(activeAt) &&
+                (!previous || message.createdAt.isAfter(previous));
+        });
+
+        seen.forEach(message => this.emit("message:seen", message, person));
+
+        return seen;
+    }
+
+    /**
+     * Get the people who have seen a message i.e. whose activity in the room (since the
+     * room was loaded) is after the message was sent. The author is excluded.
+     *
+     * @param  {Message} message The message.
+     * @return {Person[]}        The people who have seen the message.
+     */
+    getSeenBy(message) {
+        return this.people.filter(person => {
+            const activeAt = this.activity[person.id];
+            return person !== message.author && activeAt && !activeAt.isBefore(message.createdAt);
+        });
     }
 
     /**
@@ -340,7 +894,7 @@ export default class Room extends EventEmitter {
      * @return {Promise}           Resolves when the frame is sent (again, no ack of the frame).
      */
     typing(isTyping = true) {
-        return this.api.typing(isTyping, this.id);
+        return this.api.typing(this.id, isTyping);
     }
 
     /**
@@ -382,4 +936,16 @@ export default class Room extends EventEmitter {
             createdAt: this.createdAt
         };
     }
+}
+
+/**
+ * Determine whether a message has changed since a previous snapshot of itself.
+ *
+ * @private
+ * @param  {Message} previous The message snapshot (see Message#clone).
+ * @param  {Message} message  The current message.
+ * @return {Boolean}
+ */
+function hasMessageChanged(previous, message) {
+    return !MESSAGE_UPDATE_PROPERTIES.every(prop => isEqual(previous[prop], message[prop]));
 }
\ No newline at end of file
@@ -0,0 +1,329 @@
+import fs from "fs";
+import Promise from "bluebird";
+import moment from "moment";
+import { max, noop, omit } from "lodash";
+import EventEmitter from "./lib/EventEmitter";
+import logging from "./lib/logging";
+import { getNextCronDate } from "./lib/cron";
+
+const logger = logging.add("tw-chat:scheduler");
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * The longest delay setTimeout supports (~24.8 days).
+ *
+ * @type {Number}
+ */
+const MAX_TIMEOUT = Math.pow(2, 31) - 1;
+
+/**
+ * The TeamworkChat events emitted when the socket reconnects, with or without the missed updates.
+ *
+ * @type {Array}
+ */
+const RECONNECT_EVENTS = ["reconnect", "reconnect:incomplete"];
+
+/**
+ * Schedules messages to be sent to rooms at a given time or on a cron-like recurrence.
+ *
+ *      chat.scheduler.schedule(room, "@all standup in 5", "55 9 * * 1-5");
+ *      chat.scheduler.schedule(room, "Sprint review!", moment().add(2, "hours"));
+ *
+ * Jobs due while the socket is disconnected are sent once TeamworkChat reconnects (see
+ * RECONNECT_EVENTS). If the scheduler has a `path`, the jobs are persisted to it (as JSON)
+ * whenever they change.
+ *
+ * Events:
+ *
+ *      "job:added": ({Object} job)
+ *
+ *          Emitted when a job is scheduled.
+ *
+ *      "job:removed": ({Object} job)
+ *
+ *          Emitted when a job is removed (or a one-off job completes).
+ *
+ *      "job:run": ({Object} job, {Message} message)
+ *
+ *          Emitted when a job's message is sent.
+ *
+ *      "job:failed": ({Object} job, {Error} error)
+ *
+ *          Emitted when a job's message fails to send.
+ *
+ */
+export default class Scheduler extends EventEmitter {
+    /**
+     * The scheduled jobs: `{ id, roomId, content, runAt, cron }`. `runAt` is the ISO timestamp
+     * of the next run and `cron` is the recurrence (null for one-off jobs).
+     *
+     * @type {Object[]}
+     */
+    jobs = [];
+
+    /**
+     * The promise for the due jobs being sent, if any.
+     *
+     * @type {Promise|null}
+     */
+    sending = null;
+
+    /**
+     * The promise for the last write of the jobs file, if any.
+     *
+     * @type {Promise|null}
+     */
+    saving = null;
+
+    /**
+     * Create a new Scheduler.
+     *
+     * @param  {TeamworkChat}   chat            The TeamworkChat instance to send the messages with. This can
+     *                                          be null to manage a persisted queue without running it.
+     * @param  {Object}         options         Scheduler options.
+     * @param  {String}         options.path    The path of the JSON file to persist the jobs to.
+     */
+    constructor(chat, { path = null } = {}) {
+        super();
+
+        this.chat = chat;
+        this.path = path;
+        this.running = false;
+
+        this.runDueJobs = this.runDueJobs.bind(this);
+    }
+
+    /**
+     * Schedule a message.
+     *
+     * @param  {Room|Number}        room    The room (or room ID) to send the message to.
+     * @param  {String}             content The message content.
+     * @param  {Moment|Date|String} when    The time to send the message or a cron expression
+     *                                      (see `parseCron`) to send it on a recurrence.
+     * @return {Promise<Object>}            Resolves to the job.
+     */
+    schedule(room, content, when) {
+        return Promise.try(() => {
+            const isCron = typeof when === "string" && !moment(when, moment.ISO_8601, true).isValid();
+            const runAt = isCron ? getNextCronDate(when) : moment(when);
+
+            if(!runAt.isValid()) {
+                throw new Error(`Invalid schedule time "${when}".`);
+            }
+
+            const job = {
+                id: (max(this.jobs.map(job => job.id)) || 0) + 1,
+                roomId: typeof room === "object" ? room.id : room,
+                content,
+                runAt: runAt.toISOString(),
+                cron: isCron ? when : null
+            };
+
+            this.jobs.push(job);
+            this.emit("job:added", job);
+            this.update();
+
+            return this.save().return(job);
+        });
+    }
+
+    /**
+     * Remove a job.
+     *
+     * @param  {Number} id  The job ID.
+     * @return {Promise<Object>} Resolves to the removed job.
+     */
+    remove(id) {
+        return Promise.try(() => {
+            const job = this.jobs.find(job => job.id === id);
+
+            if(!job) {
+                throw new Error(`No scheduled job with ID ${id}.`);
+            }
+
+            this.removeJob(job);
+
+            return this.save().return(job);
+        });
+    }
+
+    /**
+     * Start sending the scheduled messages.
+     *
+     * @return {Scheduler}
+     */
+    start() {
+        if(!this.chat) {
+            throw new Error("Unable to start scheduler without a TeamworkChat instance.");
+        }
+
+        if(!this.running) {
+            this.running = true;
+            RECONNECT_EVENTS.forEach(event => this.chat.on(event, this.runDueJobs));
+            this.update();
+        }
+
+        return this;
+    }
+
+    /**
+     * Stop sending the scheduled messages.
+     *
+     * @return {Scheduler}
+     */
+    stop() {
+        if(this.running) {
+            this.running = false;
+            RECONNECT_EVENTS.forEach(event => this.chat.removeListener(event, this.runDueJobs));
+            clearTimeout(this.timeout);
+        }
+
+        return this;
+    }
+
+    /**
+     * Load the jobs from the persisted file, replacing any jobs in memory. Jobs are merged by ID:
+     * jobs being sent are kept as they are so they aren't sent again. Loading waits for the
+     * due jobs being sent and the jobs being saved.
+     *
+     * @return {Promise<Object[]>} Resolves to the jobs.
+     */
+    load() {
+        if(!this.path) {
+            return Promise.resolve(this.jobs);
+        }
+
+        return Promise.all([ this.sending, this.saving ]).catch(noop).then(() => {
+            return readFile(this.path, { encoding: "utf8" });
+        }).then(contents => {
+            this.jobs = JSON.parse(contents).map(job => {
+                const existing = this.jobs.find(existing => existing.id === job.id);
+
+                if(!existing) {
+                    return job;
+                }
+
+                return existing.pending ? existing : Object.assign(existing, job);
+            });
+        }).catch(err => {
+            if(err.code !== "ENOENT") {
+                throw err;
+            }
+        }).then(() => {
+            this.update();
+
+            return this.jobs;
+        });
+    }
+
+    /**
+     * Persist the jobs to the file (if any). Writes are queued so they never overlap.
+     *
+     * @return {Promise}
+     */
+    save() {
+        if(!this.path) {
+            return Promise.resolve();
+        }
+
+        const write = () => writeFile(this.path, JSON.stringify(this.jobs.map(job => omit(job, "pending")), null, 2));
+
+        return this.saving = Promise.resolve(this.saving).then(write, write);
+    }
+
+    /**
+     * Set the timer for the next due job.
+     *
+     * @private
+     */
+    update() {
+        clearTimeout(this.timeout);
+
+        // Jobs being sent are rescheduled (or removed) once they complete
+        const jobs = this.jobs.filter(job => !job.pending);
+
+        if(!this.running || !jobs.length) {
+            return;
+        }
+
+        const next = Math.min(...jobs.map(job => moment(job.runAt).valueOf()));
+
+        this.timeout = setTimeout(this.runDueJobs, Math.max(Math.min(next - Date.now(), MAX_TIMEOUT), 0));
+    }
+
+    /**
+     * Send the messages for any jobs that are due. Jobs are left in the queue while the socket
+     * is disconnected and run when TeamworkChat reconnects (see RECONNECT_EVENTS).
+     *
+     * @private
+     * @return {Promise}
+     */
+    runDueJobs() {
+        if(!this.chat.api.connected) {
+            logger.info("socket disconnected, delaying scheduled jobs until reconnect");
+            return Promise.resolve();
+        }
+
+        const now = moment();
+        const due = this.jobs.filter(job => !job.pending && !moment(job.runAt).isAfter(now));
+
+        const sending = this.sending = Promise.mapSeries(due, job => {
+            job.pending = true;
+
+            return this.chat.getRoom(job.roomId).then(room => {
+                return room.sendMessage(job.content);
+            }).then(message => {
+                this.emit("job:run", job, message);
+                this.completeJob(job);
+            }).catch(error => {
+                logger.error(`scheduled job ${job.id} failed: ${error.message}`);
+                this.emit("job:failed", job, error);
+
+                // Retry on reconnect if we lost the connection, otherwise the job is done.
+                if(this.chat.api.connected) {
+                    this.completeJob(job);
+                }
+            }).finally(() => {
+                delete job.pending;
+            });
+        }).then(() => {
+            this.update();
+
+            return this.save();
+        }).catch(error => {
+            this.chat.emit("error", error);
+        }).finally(() => {
+            if(this.sending === sending) {
+                this.sending = null;
+            }
+        });
+
+        return sending;
+    }
+
+    /**
+     * Reschedule a recurring job or remove a one-off job once it's run.
+     *
+     * @private
+     * @param  {Object} job The job.
+     */
+    completeJob(job) {
+        if(job.cron) {
+            job.runAt = getNextCronDate(job.cron).toISOString();
+        } else {
+            this.removeJob(job);
+        }
+    }
+
+    /**
+     * @private
+     * @param  {Object} job The job.
+     */
+    removeJob(job) {
+        this.jobs = this.jobs.filter(existing => existing !== job);
+        this.emit("job:removed", job);
+        this.update();
+    }
+}
\ No newline at end of file
@@ -1,20 +1,19 @@
 import Promise from "bluebird";
 import { inspect } from "util";
 import moment from "moment";
-import { omit, values, flatten, without, uniqBy, intersection, range, last, difference } from "lodash";
+import { omit, pick, values, flatten, without, uniqBy, sortBy, orderBy, sumBy, intersection, range, last, difference } from "lodash";
 import logging from "./lib/logging";
-import APIClient from "./APIClient";
-import Room from "./Room";
+import APIClient, { CLIENT_OPTIONS } from "./APIClient";
+import Room, { MAX_MESSAGE_RETENTION } from "./Room";
 import Person from "./Person";
 import Message from "./Message";
+import Company from "./Company";
+import Scheduler from "./Scheduler";
+import { DEFAULT_RECONNECTION_POLICY, getReconnectDelay, validateReconnectionPolicy } from "./lib/reconnection";
+import { createMetricsServer } from "./lib/metrics";
 
 const logger = logging.add("tw-chat");
 
-/**
- * The time in ms to wait between reconnection attempts.
- * @type {Number}
- */
-const RECONNECT_INTERVAL = 1000 * 3;
 
 /**
  * TeamworkChat model.
@@ -44,6 +43,27 @@ const RECONNECT_INTERVAL = 1000 * 3;
  *
  *          When a new person is created in Projects.
  *
+ *      "person:deleted": ({Person} person)
+ *
+ *          When a person is deleted in Projects (or otherwise removed from memory).
+ *
+ *      "company:new": ({Company} company)
+ *
+ *          A new company was added to the memory store. Like `person:new`, this DOES NOT
+ *          MEAN the company was created in Projects. See `company:created`.
+ *
+ *      "company:created": ({Company} company)
+ *
+ *          When a new company is created in Projects.
+ *
+ *      "company:updated": ({Company} company, {Object} changes)
+ *
+ *          When a company is updated.
+ *
+ *      "company:deleted": ({Company} company)
+ *
+ *          When a company is deleted in Projects.
+ *
  *      "message": ({Room} room, {Message} message)
  *
  *          When a room receives a message (i.e. emitted for ALL messages the current user can see)
@@ -58,6 +78,29 @@ const RECONNECT_INTERVAL = 1000 * 3;
  *          When the currently logged in user is mentioned in a room. To get the author of the
  *          message, use `message.author` ({Person}).
  *
+ *      "message:seen": ({Room} room, {Message} message, {Person} person)
+ *
+ *          When someone has seen (i.e. their activity in the room has moved past) a message
+ *          from the currently logged in user. See Room#getSeenBy.
+ *
+ *      "message:reply": ({Room} room, {Message} message, {Message} original)
+ *
+ *          When someone replies (see Message#reply) to a message from the currently logged in user.
+ *
+ *      "message:updated": ({Room} room, {Message} message, {Message} previous)
+ *
+ *          When a message is edited or updated (e.g. a link is unfurled into a third party card).
+ *          `previous` is a snapshot of the message before the update (or `null` if it wasn't
+ *          in memory before the update).
+ *
+ *      "message:deleted": ({Room} room, {Message} message)
+ *
+ *          When a message (that is loaded in memory) is deleted.
+ *
+ *      "message:restored": ({Room} room, {Message} message)
+ *
+ *          When a deleted message (that is loaded in memory) is undeleted.
+ *
  *      "room:new": ({Room} room)
  *
  *          When a new room is added. Again does does NOT MEAN a new room was created on the
@@ -69,12 +112,25 @@ const RECONNECT_INTERVAL = 1000 * 3;
  *
  *          Emitted when a room is updated.
  *
+ *      "room:deleted": ({Room} room)
+ *
+ *          Emitted when a room is deleted and removed from memory.
+ *
+ *      "unread:changed": ({Room} room, {Object} unread, {Object} previous)
+ *
+ *          Emitted when a room's unread counts change (see Room#unread), including when
+ *          a room with unread messages is added (`previous` is zero).
+ *
  *      "pong":
  *
  *          Emitted when the client and server successfully completed the ping-pong frame
  *          exchange. Happens a lot, you probably won't need this frame ..unless ..maybe
  *          ..you like ping-pong.
  *
+ *      "frame:invalid": ({Object} frame, {String[]} errors, {String} direction)
+ *
+ *          Emitted when a frame fails validation. See APIClient's "frame:invalid" event.
+ *
  *      "error": ({Error} error)
  *
  *          Emitted when an error occurs in the APIClient or processing an incoming frame.
@@ -89,9 +145,25 @@ const RECONNECT_INTERVAL = 1000 * 3;
  *      "reconnect": ({Person[]} people, {Room[]} rooms, {Message[]} messages, {moment.duration} downtime)
  *
  *          Emitted when the APIClient has disconnected and manages to reconnect to the API.
- *          The missed information between the disconnect and reconnect is passed as parameters.
+ *          The missed information between the disconnect and reconnect is passed as parameters
+ *          (`messages` are the missed messages, which are also emitted as replayed "message" events).
  *          A fourth parameter called `downtime` also tells you how long you disconnected from the API.
  *
+ *      "reconnect:attempt": ({Number} attempt)
+ *
+ *          Emitted before each attempt to reconnect (starting at 1). See TeamworkChat#reconnection.
+ *
+ *      "reconnect:failed": ({Error} error, {Number} attempts)
+ *
+ *          Emitted when TeamworkChat gives up reconnecting after `reconnection.maxAttempts`
+ *          attempts. It's up to you what to do next e.g. call `connect` or exit the process.
+ *
+ *      "reconnect:incomplete": ({Error} error, {moment.duration} downtime)
+ *
+ *          Emitted instead of "reconnect" when the socket reconnected but the updates missed while
+ *          disconnected couldn't be loaded (see TeamworkChat#getUpdates). The connection is fine,
+ *          it's up to you whether to get the updates again.
+ *
  */
 export default class TeamworkChat extends Person {
     /**
@@ -104,6 +176,76 @@ export default class TeamworkChat extends Person {
      */
     rooms = [];
 
+    /**
+     * The companies store, populated from the `company` field on people.
+     *
+     * @type {Company[]}
+     */
+    companies = [];
+
+    /**
+     * The persistent store (if any) that TeamworkChat writes through to. See TeamworkChat#useStore.
+     *
+     * @type {Store}
+     */
+    store = null;
+
+    /**
+     * The default reconnection policy for new instances. See TeamworkChat#reconnection.
+     *
+     * @type {Object}
+     */
+    static reconnection = DEFAULT_RECONNECTION_POLICY;
+
+    /**
+     * The reconnection policy used when the socket disconnects:
+     *
+     *      strategy:       "fixed", "exponential" or "jittered" (see lib/reconnection.js).
+     *      interval:       The (initial) delay in ms between attempts.
+     *      maxInterval:    The maximum delay in ms for the exponential strategies.
+     *      factor:         The exponential factor.
+     *      maxAttempts:    The attempts before giving up and emitting "reconnect:failed".
+     *
+     * @type {Object}
+     */
+    reconnection = { ...TeamworkChat.reconnection };
+
+    /**
+     * The scheduler for sending messages at a later time. See Scheduler.
+     *
+     * @type {Scheduler}
+     */
+    scheduler = null;
+
+    /**
+     * The metrics HTTP server, if serving. See TeamworkChat#serveMetrics.
+     *
+     * @type {http.Server}
+     */
+    metricsServer = null;
+
+    /**
+     * The unseen totals from the last `unseen.counts.updated` frame (see TeamworkChat#getUnseenCount).
+     *
+     * @type {Object}
+     */
+    unseenCounts = null;
+
+    /**
+     * The minimum time in ms between reloading the rooms when the unseen totals don't add up
+     * with the loaded rooms' counts (see TeamworkChat#handleUnseenCounts).
+     *
+     * @type {Number}
+     */
+    unseenRefreshInterval = 60000;
+
+    /**
+     * When the rooms were last reloaded because of the unseen totals.
+     *
+     * @type {moment}
+     */
+    lastUnseenRefresh = null;
+
     /**
      * Stats about this current session.
      * @type {Object}
@@ -129,18 +271,33 @@ export default class TeamworkChat extends Person {
     /**
      * Create a new TeamworkChat instance.
      *
-     * @param  {APIClient}  api  An authorized APIClient instance.
-     * @param  {Object}     user User data to pass to Person#constructor.
+     * @param  {APIClient}  api                     An authorized APIClient instance.
+     * @param  {Object}     user                    User data to pass to Person#constructor.
+     * @param  {Object}     options                 Optional, instance options.
+     * @param  {Object}     options.reconnection    Override parts of the reconnection policy. See TeamworkChat#reconnection.
+     * @param  {Number}     options.pingInterval    Override the APIClient's ping settings (as do `pingTimeout`
+     *                                              and `pingMaxAttempts`). See APIClient#constructor.
      * @return {TeamworkChat}
+     * @throws {Error}                              If the reconnection policy is invalid.
      */
-    constructor(api, user) {
+    constructor(api, user, options = {}) {
         super(api, user.user);
 
+        if(options.reconnection) {
+            this.reconnection = { ...this.reconnection, ...options.reconnection };
+        }
+
+        // Fail here rather than when the socket closes and the delay is calculated
+        validateReconnectionPolicy(this.reconnection);
+
+        Object.assign(this.api, pick(options, CLIENT_OPTIONS));
+
         this.api.user = this;
         this.room = new Room(api, { id: "root" });
         this.room.addPerson(this);
 
         this.api.on("frame", this.onFrame.bind(this));
+        this.api.on("frame:invalid", this.emit.bind(this, "frame:invalid"));
         this.api.on("close", this.onDisconnect.bind(this));
 
         // Listen for person updates on the global room
@@ -152,6 +309,8 @@ export default class TeamworkChat extends Person {
 
         // Adding "error" listener to stop the EventEmitter from throwing the error if no listeners are attached.
         this.on("error", logger.error.bind(logger));
+
+        this.scheduler = new Scheduler(this).start();
     }
 
 
@@ -177,25 +336,42 @@ export default class TeamworkChat extends Person {
             logger.info(`socket reconnection process failed, attempting to reconnect (attempt ${attempt})`, { attempt });
         }
 
+        this.emit("reconnect:attempt", attempt + 1);
+
         return this.connect().then(() => {
             logger.info("socket reconnected to server");
             this.monitor.reconnects++;
 
-            logger.info("getting updates");
-            return this.getUpdates(this.monitor.lastDisconnectTimestamp);
-        }).spread((people, rooms, messages) => {
             // Calculate the length of time we we're disconnected
             const outage = moment.duration(moment().diff(this.monitor.lastDisconnectTimestamp));
 
             // Update the downtime
             this.monitor.downtime.add(outage);
 
-            // Note: it's okay if this call fails, we will re-attempt it in the catch. Don't
-            // worry, it won't attempt to reconnect to the websocket again.
-            this.emit("reconnect", people, rooms, messages, outage);
-        }).catch(error => {
-            logger.error(`unable to reconnect socket and get updates: ${error.message}`);
-            return Promise.delay(RECONNECT_INTERVAL).then(this.onDisconnect.bind(this, attempt + 1));
+            logger.info("getting updates");
+            return this.getUpdates(this.monitor.lastDisconnectTimestamp).then(([ people, rooms, messages ]) => {
+                this.emit("reconnect", people, rooms, messages, outage);
+            }, error => {
+                // We're connected so there's no point reconnecting, the updates are just missing.
+                logger.error(`reconnected socket but unable to get updates: ${error.message}`);
+                this.emit("reconnect:incomplete", error, outage);
+            });
+        }, error => {
+            logger.error(`unable to reconnect socket: ${error.message}`);
+
+            const attempts = attempt + 1;
+            const { maxAttempts } = this.reconnection;
+
+            if(attempts >= maxAttempts) {
+                logger.error(`giving up reconnecting after ${attempts} attempts`);
+
+                // Nothing queued is going to be sent now
+                this.api.queue.clear(error);
+                this.emit("reconnect:failed", error, attempts);
+                return;
+            }
+
+            return Promise.delay(getReconnectDelay(this.reconnection, attempts)).then(this.onDisconnect.bind(this, attempts));
         });
     }
 
@@ -225,6 +401,28 @@ export default class TeamworkChat extends Person {
                     });
                 break;
 
+                case "room.message.updated":
+                    const updatedMessage = frame.contents;
+                    logger.debug("updated message", { message: updatedMessage });
+
+                    return this.getRoom(updatedMessage.roomId).then(room => {
+                        return room.handleUpdatedMessage(updatedMessage);
+                    });
+                break;
+
+                case "room.messages.deleted":
+                case "room.messages.deleted-undone":
+                    const { roomId, ids } = frame.contents;
+
+                    return this.getRoom(parseInt(roomId)).then(room => {
+                        if(frame.name === "room.messages.deleted") {
+                            return room.handleDeletedMessages(ids);
+                        } else {
+                            return room.handleRestoredMessages(ids);
+                        }
+                    });
+                break;
+
                 case "pong":
                     this.emit("pong");
                 break;
@@ -248,6 +446,18 @@ export default class TeamworkChat extends Person {
                     });
                 break;
 
+                case "room.user.active":
+                    const activeRoom = this.findRoomById(frame.contents.roomId);
+
+                    if(activeRoom) {
+                        // The frame is `{ roomId, date }`. Without a `userId`, it's the currently logged
+                        // in user's own activity echoed back (e.g. from another client).
+                        return activeRoom.handleActivity(frame.contents.userId || this.api.user.id, frame.contents.date);
+                    } else {
+                        logger.debug(`room with ID ${frame.contents.roomId} not loaded in memory, discarding activity.`);
+                    }
+                break;
+
                 case "user.added":
                 case "user.updated":
                     // As with `room.updated`, getting them from the API updates the user.
@@ -260,11 +470,50 @@ export default class TeamworkChat extends Person {
                     });
                 break;
 
-                case "unseen.counts.update":
-                    logger.debug(
-                        "'unseen.counts.update' frame received but discarded, we don't store this information. " +
-                        "Use `getUnseenCount` to get counts."
-                    );
+                case "room.deleted":
+                    const deletedRoom = this.findRoomById(frame.contents.id);
+
+                    if(deletedRoom) {
+                        return this.removeRoom(deletedRoom);
+                    } else {
+                        logger.debug(`room with ID ${frame.contents.id} not loaded in memory, discarding frame.`);
+                    }
+                break;
+
+                case "user.deleted":
+                    const deletedPerson = this.findPersonById(frame.contents.id);
+
+                    if(deletedPerson) {
+                        return this.removePerson(deletedPerson.update({ deleted: true }));
+                    } else {
+                        logger.debug(`user with ID ${frame.contents.id} not loaded in memory, discarding frame.`);
+                    }
+                break;
+
+                case "company.added":
+                case "company.updated":
+                    // Like `user.updated`, we get the company from the API which saves it.
+                    return this.getCompany(frame.contents.id, false).then(company => {
+                        logger.debug(`${company.id} company has been updated`);
+
+                        if(frame.name === "company.added") {
+                            this.emit("company:created", company);
+                        }
+                    });
+                break;
+
+                case "company.deleted":
+                    const deletedCompany = this.findCompanyById(frame.contents.id);
+
+                    if(deletedCompany) {
+                        return this.removeCompany(deletedCompany);
+                    } else {
+                        logger.debug(`company with ID ${frame.contents.id} not loaded in memory, discarding frame.`);
+                    }
+                break;
+
+                case "unseen.counts.updated":
+                    return this.handleUnseenCounts(frame.contents);
                 break;
 
                 default:
@@ -273,7 +522,7 @@ export default class TeamworkChat extends Person {
         }).catch(error => {
             // Attach the frame to the error for debugging purposes
             error.frame = frame;
-            winston.error(`${error.message}`, { error });
+            logger.error(`${error.message}`, { error });
             this.emit("error", error);
         });
     }
@@ -377,24 +626,73 @@ export default class TeamworkChat extends Person {
      * @return {Promise<Object>} Object containing message counts.
      */
     getUnseenCount() {
-        return this.api.getUnseenCount().then(({ contents }) => {
-            const conv = contents.conversationUnreadCounts;
-            const room = contents.unreadCounts;
-
-            return {
-                important: {
-                    rooms: room.importantUnread,
-                    conversations: conv ? conv.importantUnread : null
-                },
-
-                total: {
-                    rooms: room.unread,
-                    conversations: conv ? conv.unread : null
-                }
-            };
+        return this.api.getUnseenCount().then(({ contents }) => formatUnseenCounts(contents));
+    }
+
+    /**
+     * Get the rooms with unread messages, most recently active first.
+     *
+     * @param  {Object}  options
+     * @param  {Boolean} options.refresh Reload the rooms' unread counts from the API first (default: false).
+     * @return {Promise<Room[]>}
+     */
+    getUnreadRooms({ refresh = false } = {}) {
+        return Promise.try(() => {
+            if(refresh) {
+                return this.refreshUnreadCounts();
+            }
+        }).then(() => {
+            return orderBy(this.rooms.filter(room => room.isUnread), room => room.lastActivityAt ? room.lastActivityAt.valueOf() : 0, "desc");
         });
     }
 
+    /**
+     * Event Handler: When the unseen totals change. The server only sends the totals, which include
+     * rooms that aren't loaded, so if the loaded rooms' counts add up to more than the total (e.g. a
+     * room was read elsewhere), the rooms are reloaded. Reloads are limited to one every
+     * `unseenRefreshInterval` ms.
+     *
+     * @param  {Object} contents The `unseen.counts.updated` frame contents.
+     * @return {Promise}
+     */
+    handleUnseenCounts(contents) {
+        this.unseenCounts = formatUnseenCounts(contents);
+
+        const total = sumBy(this.rooms, room => room.unread.count);
+
+        if(total <= this.unseenCounts.total.rooms) {
+            return;
+        }
+
+        if(this.lastUnseenRefresh && moment().diff(this.lastUnseenRefresh) < this.unseenRefreshInterval) {
+            logger.debug(`unseen counts don't match the rooms' (${this.unseenCounts.total.rooms} < ${total}), rooms reloaded recently`);
+            return;
+        }
+
+        logger.debug(`unseen counts don't match the rooms' (${this.unseenCounts.total.rooms} < ${total}), reloading rooms`);
+        this.lastUnseenRefresh = moment();
+
+        return this.refreshUnreadCounts();
+    }
+
+    /**
+     * Reload every room's unread counts from the API. Concurrent calls share the same request.
+     *
+     * @private
+     * @return {Promise<Room[]>} Resolves to the reloaded rooms.
+     */
+    refreshUnreadCounts() {
+        if(!this.unreadRefresh) {
+            this.unreadRefresh = Promise.resolve(this.api.getAllRooms()).then(rooms => {
+                return rooms.map(room => this.saveRoom(room));
+            }).finally(() => {
+                this.unreadRefresh = null;
+            });
+        }
+
+        return this.unreadRefresh;
+    }
+
     /**
      * Update the currently logged in user's handle.
      *
@@ -439,7 +737,13 @@ export default class TeamworkChat extends Person {
         // Listen to updates on the room object and proxy them through this instance
         room.on("message", this.emit.bind(this, "message", room));
         room.on("message:mention", this.emit.bind(this, "message:mention", room));
+        room.on("message:reply", this.emit.bind(this, "message:reply", room));
+        room.on("message:seen", this.emit.bind(this, "message:seen", room));
+        room.on("message:updated", this.emit.bind(this, "message:updated", room));
+        room.on("message:deleted", this.emit.bind(this, "message:deleted", room));
+        room.on("message:restored", this.emit.bind(this, "message:restored", room));
         room.on("updated", this.emit.bind(this, "room:updated", room));
+        room.on("unread:changed", this.emit.bind(this, "unread:changed", room));
         room.on("person:added", this.emit.bind(this, "room:person:added", room));
         room.on("person:removed", this.emit.bind(this, "room:person:removed", room));
 
@@ -449,6 +753,25 @@ export default class TeamworkChat extends Person {
         logger.debug("new room");
         this.rooms.push(room);
 
+        // The counts were set before we were listening to the room
+        if(room.isUnread) {
+            this.emit("unread:changed", room, room.unread, { count: 0, important: 0 });
+        }
+
+        return room;
+    }
+
+    /**
+     * Remove a room from memory (e.g. when it's deleted) and emit `room:deleted`.
+     *
+     * @param  {Room} room The room to remove.
+     * @return {Room}      The removed room.
+     */
+    removeRoom(room) {
+        logger.debug("removing room", { id: room.id });
+        this.rooms = without(this.rooms, room);
+        this.emit("room:deleted", room);
+
         return room;
     }
 
@@ -678,6 +1001,31 @@ export default class TeamworkChat extends Person {
         return this.getPersonBy("handle", handle);
     }
 
+    /**
+     * Log in as another person by impersonating them. This requires the current user
+     * to be an administrator. Remember to close the returned TeamworkChat instance.
+     *
+     * @param  {Person|Number}          person  The person (or person ID) to impersonate.
+     * @return {Promise<TeamworkChat>}          Resolves to a connected TeamworkChat instance for the person.
+     */
+    impersonate(person) {
+        const id = typeof person === "object" ? person.id : person;
+
+        return this.api.impersonate(id).then(auth => {
+            return TeamworkChat.fromAuth(this.api.installation, auth, this.api.socketServer);
+        });
+    }
+
+    /**
+     * Impersonate a person by handle. See TeamworkChat#impersonate.
+     *
+     * @param  {String} handle          The person's handle (without `@`).
+     * @return {Promise<TeamworkChat>}  Resolves to a connected TeamworkChat instance for the person.
+     */
+    impersonateByHandle(handle) {
+        return this.getPersonByHandle(handle).then(person => this.impersonate(person));
+    }
+
     /**
      * Get list of people and save them.
      *
@@ -708,14 +1056,29 @@ export default class TeamworkChat extends Person {
      */
     savePerson(rawPerson) {
         let person = this.findPersonById(rawPerson.id);
+        const previousCompany = person && person.company;
+
+        if(rawPerson.company) {
+            rawPerson = { ...rawPerson, company: this.saveCompany(rawPerson.company) };
+        }
 
         if(person) {
-            return person.update(rawPerson);
+            person.update(rawPerson);
         } else {
             person = new Person(this.api, rawPerson);
             this.addRoom(person.room);
-            return this.addPerson(person);
+            this.addPerson(person);
+        }
+
+        if(person.company instanceof Company) {
+            if(previousCompany instanceof Company && previousCompany !== person.company) {
+                previousCompany.deletePerson(person);
+            }
+
+            person.company.addPerson(person);
         }
+
+        return person;
     }
 
     /**
@@ -732,6 +1095,101 @@ export default class TeamworkChat extends Person {
         return this.room.addPerson(person);
     }
 
+    /**
+     * Remove a person from memory (e.g. when they're deleted). They're removed from
+     * every room they're in, their company and their direct conversation is removed.
+     *
+     * @param  {Person} person The person to remove.
+     * @return {Person}        The removed person.
+     */
+    removePerson(person) {
+        this.rooms.forEach(room => {
+            if(room.people.includes(person)) {
+                room.deletePerson(person);
+            }
+        });
+
+        if(person.room && this.rooms.includes(person.room)) {
+            this.removeRoom(person.room);
+        }
+
+        if(person.company instanceof Company) {
+            person.company.deletePerson(person);
+        }
+
+        // Deleting from the global room emits `person:deleted`
+        return this.room.deletePerson(person);
+    }
+
+    /**
+     * Find a company in memory.
+     *
+     * @param  {Number} id The company's ID.
+     * @return {Company}
+     */
+    findCompanyById(id) {
+        return this.companies.find(company => company.id === parseInt(id));
+    }
+
+    /**
+     * Get a company by ID and save it.
+     *
+     * @param  {Number}  id     The company's ID.
+     * @param  {Boolean} cached Whether or not to search cache first.
+     * @return {Promise<Company>}
+     */
+    getCompany(id, cached = true) {
+        const company = this.findCompanyById(id);
+
+        if(!company || !cached) {
+            return this.api.getCompany(id).then(company => this.saveCompany(company));
+        } else return Promise.resolve(company);
+    }
+
+    /**
+     * Save or create a company's data from the API.
+     *
+     * @param  {Object} rawCompany The company object from the API.
+     * @return {Company}           The saved company.
+     */
+    saveCompany(rawCompany) {
+        const company = this.findCompanyById(rawCompany.id);
+
+        if(company) {
+            return company.update(rawCompany);
+        } else {
+            return this.addCompany(new Company(rawCompany));
+        }
+    }
+
+    /**
+     * Add a company to memory and emit the appropriate events.
+     *
+     * @param {Company} company The company object.
+     * @return {Company}        The added company.
+     */
+    addCompany(company) {
+        company.on("updated", this.emit.bind(this, "company:updated"));
+
+        this.emit("company:new", company);
+        this.companies.push(company);
+
+        return company;
+    }
+
+    /**
+     * Remove a company from memory and emit `company:deleted`.
+     *
+     * @param  {Company} company The company to remove.
+     * @return {Company}         The removed company.
+     */
+    removeCompany(company) {
+        this.companies = without(this.companies, company);
+        this.emit("company:deleted", company);
+
+        return company;
+    }
+
     /**
      * Add multiple person objects at once.
      *
@@ -778,10 +1236,14 @@ export default class TeamworkChat extends Person {
     }
 
     /**
-     * Get updates since a specific timestamp.
+     * Get updates since a specific timestamp. This is used to recover after reconnecting: every
+     * page of rooms with activity since the timestamp is saved (new rooms are added) and the
+     * messages missed in the meantime are passed to their rooms in chronological order, flagged
+     * as `replayed`. Messages already in memory are not emitted again.
      *
      * @param  {moment} since  The moment timestamp to get updates since.
-     * @return {Promise<[]>}   Resolves to an array of [people, rooms, messages].
+     * @return {Promise<[]>}   Resolves to an array of [people, rooms, messages] where `messages`
+     *                         are the missed messages, oldest first.
      */
     getUpdates(since) {
         since = since.toISOString();
@@ -797,34 +1259,115 @@ export default class TeamworkChat extends Person {
                     return null;
                 }
 
-                return existingPerson.update(person);
+                return this.savePerson(person);
             }).filter(a => a);
         });
 
-        // It's the same for rooms, only update those in memory
-        const roomsUpdate = this.api.getRooms({ since }).then(rooms => {
-            return rooms.map(room => {
-                const existingRoom = this.findRoomById(room.id);
+        // Save every room with activity so we have somewhere to put the missed messages
+        const roomsUpdate = this.api.getAllRooms({ since }).then(rooms => {
+            return rooms.map(this.saveRoom.bind(this));
+        });
 
-                if(!existingRoom) {
-                    return null;
-                }
+        const messagesUpdate = Promise.join(this.api.getAllUserMessages({ since }), roomsUpdate, messages => {
+            // Messages can shift between pages while we're requesting them
+            const missed = sortBy(uniqBy(messages, "id"), [message => moment(message.createdAt).valueOf(), "id"]);
 
-                return existingRoom.update(room);
-            }).filter(a => a);
-        });
+            return Promise.mapSeries(missed, message => {
+                return this.getRoom(message.roomId).then(room => room.handleMessage(message, { replayed: true }));
+            });
+        }).then(messages => messages.filter(a => a));
 
-        const messagesUpdate = this.api.getAllUserMessages({ since }).then(messages => {
-            return messages.map(message => {
-                const room = this.findRoomById(message.roomId);
+        return Promise.all([ peopleUpdate, roomsUpdate, messagesUpdate ]);
+    }
 
-                if(room) {
-                    return room.handleMessage(message);
-                }
+    /**
+     * Use a persistent store. The store is loaded, the people, rooms and their latest messages
+     * are restored into memory and from then on, any changes to people, rooms or messages are
+     * written through to the store.
+     *
+     * @param  {Store} store The store (see src/stores).
+     * @return {Promise<TeamworkChat>} Resolves once the store has been restored.
+     */
+    useStore(store) {
+        if(this.store) {
+            throw new Error("TeamworkChat is already using a store.");
+        }
+
+        return Promise.resolve(store.load()).then(() => {
+            return Promise.all([ store.getPeople(), store.getRooms() ]);
+        }).spread((people, rooms) => {
+            logger.debug(`restoring ${people.length} people and ${rooms.length} rooms from store`);
+            people.forEach(person => this.savePerson(person));
+
+            return Promise.map(rooms, rawRoom => {
+                const room = this.saveRoom(rawRoom);
+
+                return store.getMessages(room.id, { limit: MAX_MESSAGE_RETENTION }).then(messages => {
+                    messages.forEach(message => room.saveMessage(message));
+                });
             });
+        }).then(() => {
+            // Only start writing after the restore, there's no point writing back what we've just read.
+            this.store = store;
+
+            const savePerson = person => person !== this && this.persist("savePerson", person);
+            const saveRoom = room => room.initialized && this.persist("saveRoom", serializeRoom(room));
+            const saveMessage = (room, message) => this.persist("saveMessage", message);
+
+            this.on("person:new", savePerson);
+            this.on("person:updated", savePerson);
+            this.on("person:deleted", person => this.persist("deletePerson", person.id));
+            this.on("room:new", saveRoom);
+            this.on("room:updated", saveRoom);
+            this.on("room:deleted", room => this.persist("deleteRoom", room.id));
+            this.on("message", saveMessage);
+            this.on("message:updated", saveMessage);
+            this.on("message:deleted", saveMessage);
+            this.on("message:restored", saveMessage);
+
+            return this;
         });
+    }
 
-        return Promise.all([ peopleUpdate, roomsUpdate, messagesUpdate ]);
+    /**
+     * Write a serialized model to the store. Errors are emitted as `error` events.
+     *
+     * @private
+     * @param  {String} method The store method e.g. "savePerson".
+     * @param  {Object} value  The model (serialized with JSON) or ID.
+     * @return {Promise}
+     */
+    persist(method, value) {
+        if(typeof value === "object") {
+            value = JSON.parse(JSON.stringify(value));
+        }
+
+        return Promise.resolve(this.store[method](value)).catch(error => {
+            error.message = `Unable to write to store (${method}): ${error.message}`;
+            this.emit("error", error);
+        });
+    }
+
+    /**
+     * Get a room's message history from the store. Unlike Room#messages, the store
+     * isn't limited to the latest messages.
+     *
+     * @param  {Room}   room            The room.
+     * @param  {Object} options         See Store#getMessages.
+     * @return {Promise<Message[]>}     The stored messages, oldest first.
+     */
+    getStoredMessages(room, options) {
+        if(!this.store) {
+            return Promise.reject(new Error("TeamworkChat is not using a store. See TeamworkChat#useStore."));
+        }
+
+        return this.store.getMessages(room.id, options).then(messages => {
+            return messages.map(message => room.findMessageById(message.id) || new Message({
+                ...message,
+                room,
+                author: room.findPersonById(message.userId) || message.userId
+            }));
+        });
     }
 
     /**
@@ -860,7 +1403,14 @@ export default class TeamworkChat extends Person {
 
         logger.info("closing TeamworkChat connection");
         this.forceClosed = true;
+        this.scheduler.stop();
+        this.api.queue.clear(new Error("TeamworkChat connection was closed."));
         this.api.close();
+
+        if(this.metricsServer) {
+            this.metricsServer.close();
+            this.metricsServer = null;
+        }
     }
 
     /**
@@ -870,6 +1420,7 @@ export default class TeamworkChat extends Person {
      */
     connect() {
         this.forceClosed = false;
+        this.scheduler.start();
 
         if(this.api.connected)
             return Promise.resolve(this.api);
@@ -884,6 +1435,53 @@ export default class TeamworkChat extends Person {
         });
     }
 
+    /**
+     * Get the connection health metrics.
+     *
+     *      uptime          Seconds since the instance was created.
+     *      connected       Whether the socket is connected.
+     *      disconnects     Disconnection count.
+     *      reconnects      Reconnection count.
+     *      downtime        Seconds spent disconnected.
+     *      queue.depth     Socket requests waiting to be sent (see APIClient#queue).
+     *      ping            The ping round-trip latency histogram: `{ count, sum, buckets }` (ms).
+     *      frames          Frame counts by name, `{ in, out }`.
+     *
+     * @return {Object}
+     */
+    getMetrics() {
+        const { epoch, downtime, disconnects, reconnects } = this.monitor;
+        const { latency, frames } = this.api.metrics;
+
+        return {
+            uptime: moment().diff(epoch) / 1000,
+            connected: !!this.api.connected,
+            disconnects,
+            reconnects,
+            downtime: downtime.asSeconds(),
+            queue: { depth: this.api.queue.entries.length },
+            ping: latency.toJSON(),
+            frames: { in: { ...frames.in }, out: { ...frames.out } }
+        };
+    }
+
+    /**
+     * Serve the metrics over HTTP as Prometheus text (`/metrics`) and JSON (`/metrics.json`).
+     * The server is closed when TeamworkChat is closed.
+     *
+     * @param  {Object} options See createMetricsServer in lib/metrics.js.
+     * @return {Promise<http.Server>} Resolves to the listening server.
+     */
+    serveMetrics(options) {
+        if(this.metricsServer) {
+            return Promise.reject(new Error("TeamworkChat is already serving metrics."));
+        }
+
+        return createMetricsServer(this, options).tap(server => {
+            this.metricsServer = server;
+        });
+    }
+
     /**
      * Override the default `emit` method to convert any `update` events to `user:update`
      * events. The `update` event happens in the parent Person class when the object is
@@ -908,7 +1506,7 @@ export default class TeamworkChat extends Person {
      */
     toJSON() {
         return {
-            ...super.toJSON(),
+            ...omit(super.toJSON(), "roomId"),
             api: this.api
         };
     }
@@ -933,12 +1531,13 @@ export default class TeamworkChat extends Person {
      * @param  {String}         username      The username used to login to Teamwork.
      * @param  {String}         password      The password used to login to Teamwork (disposed after initial login request).
      * @param  {String}         socketServer  The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options       Optional, the instance options. See TeamworkChat#constructor.
      * @return {Promise<TeamworkChat>}        An authorized and fully connected TeamworkChat instance.
      */
-    static fromCredentials(installation, username, password, socketServer) {
+    static fromCredentials(installation, username, password, socketServer, options) {
         logger.info(`logging in with user ${username} to ${installation}.`, { installation, username, socketServer });
-        return APIClient.loginWithCredentials(installation, username, password, socketServer).then(api => {
-            return new TeamworkChat(api, api.user);
+        return APIClient.loginWithCredentials(installation, username, password, socketServer, options).then(api => {
+            return new TeamworkChat(api, api.user, options);
         });
     }
 
@@ -954,17 +1553,21 @@ export default class TeamworkChat extends Person {
      * @param  {String}         username     The username used to login to Teamwork.
      * @param  {String}         password     The password used to login to Teamwork (disposed after initial login request).
      * @param  {String}         socketServer The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options      Optional, the instance options. See TeamworkChat#constructor.
      * @param  {Function}       callback     The callback (!) that has param `chat` TeamworkChat instance. This returns
      *                                       a promise that when complete, closes the connection to Teamwork.
      * @return {Promise}                     Resolves to nothing but ensures connection to Teamwork is closed fully.
      */
-    static withCredentials(installation, username, password, socketServer, callback) {
+    static withCredentials(installation, username, password, socketServer, options, callback) {
         if(typeof socketServer === "function") {
             callback = socketServer;
-            socketServer = undefined;
+            socketServer = options = undefined;
+        } else if(typeof options === "function") {
+            callback = options;
+            options = undefined;
         }
 
-        return Promise.using(TeamworkChat.fromCredentials(installation, username, password).disposer(chat => {
+        return Promise.using(TeamworkChat.fromCredentials(installation, username, password, socketServer, options).disposer(chat => {
             return chat.logout();
         }), callback);
     }
@@ -975,11 +1578,12 @@ export default class TeamworkChat extends Person {
      * @param  {String|Object}  installation The installation URL.
      * @param  {String}         auth         The user's auth key.
      * @param  {String}         socketServer The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options      Optional, the instance options. See TeamworkChat#constructor.
      * @return {Promise<TeamworkChat>}       An authorized and fully connected TeamworkChat instance.
      */
-    static fromAuth(installation, auth, socketServer) {
-        return APIClient.loginWithAuth(installation, auth, socketServer).then(api => {
-            return new TeamworkChat(api, api.user);
+    static fromAuth(installation, auth, socketServer, options) {
+        return APIClient.loginWithAuth(installation, auth, socketServer, options).then(api => {
+            return new TeamworkChat(api, api.user, options);
         });
     }
 
@@ -989,17 +1593,21 @@ export default class TeamworkChat extends Person {
      * @param  {String|Object}  installation The installation URL.
      * @param  {String}         auth         The user's auth key.
      * @param  {String}         socketServer The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options      Optional, the instance options. See TeamworkChat#constructor.
      * @param  {Function}       callback     The callback (!) that has param `chat` TeamworkChat instance. This returns
      *                                       a promise that when complete, closes the connection to Teamwork.
      * @return {Promise<TeamworkChat>}       An authorized and fully connected TeamworkChat instance.
      */
-    static withAuth(installation, auth, socketServer, callback) {
+    static withAuth(installation, auth, socketServer, options, callback) {
         if(typeof socketServer === "function") {
             callback = socketServer;
-            socketServer = undefined;
+            socketServer = options = undefined;
+        } else if(typeof options === "function") {
+            callback = options;
+            options = undefined;
         }
 
-        return Promise.using(TeamworkChat.fromAuth(installation, auth, socketServer).disposer(chat => {
+        return Promise.using(TeamworkChat.fromAuth(installation, auth, socketServer, options).disposer(chat => {
             return chat.logout();
         }), callback);
     }
@@ -1010,11 +1618,12 @@ export default class TeamworkChat extends Person {
      * @param  {String|Object}  installation The installation URL.
      * @param  {String}         key          The user's Projects "API Key".
      * @param  {String}         socketServer The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options      Optional, the instance options. See TeamworkChat#constructor.
      * @return {Promise<TeamworkChat>}       An authorized and fully connected TeamworkChat instance.
      */
-    static fromKey(installation, key, socketServer) {
-        return APIClient.loginWithKey(installation, key, socketServer).then(api => {
-            return new TeamworkChat(api, api.user);
+    static fromKey(installation, key, socketServer, options) {
+        return APIClient.loginWithKey(installation, key, socketServer, options).then(api => {
+            return new TeamworkChat(api, api.user, options);
         });
     }
 
@@ -1024,17 +1633,21 @@ export default class TeamworkChat extends Person {
      * @param  {String|Object}  installation The installation URL.
      * @param  {String}         key          The user's Projects "API Key".
      * @param  {String}         socketServer The socket server to target. Optional, defaults to env and config.json combo.
+     * @param  {Object}         options      Optional, the instance options. See TeamworkChat#constructor.
      * @param  {Function}       callback     The callback (!) that has param `chat` TeamworkChat instance. This returns
      *                                       a promise that when complete, closes the connection to Teamwork.
      * @return {Promise<TeamworkChat>}       An authorized and fully connected TeamworkChat instance.
      */
-    static withKey(installation, key, socketServer, callback) {
+    static withKey(installation, key, socketServer, options, callback) {
         if(typeof socketServer === "function") {
             callback = socketServer;
-            socketServer = undefined;
+            socketServer = options = undefined;
+        } else if(typeof options === "function") {
+            callback = options;
+            options = undefined;
         }
 
-        return Promise.using(TeamworkChat.fromKey(installation, key, socketServer).disposer(chat => {
+        return Promise.using(TeamworkChat.fromKey(installation, key, socketServer, options).disposer(chat => {
             return chat.logout();
         }), callback);
     }
@@ -1047,12 +1660,55 @@ export default class TeamworkChat extends Person {
      *  * "installation", "username", "password" - The installation and user's username and password.
      *  * "installation", "token" - The installation and user's API token.
      *
+     * Any instance options (see TeamworkChat#constructor) in the object are passed to the new instance.
+     *
      * @param  {Object} details Object containing the above keys.
      * @return {Promise<TeamworkChat>}  Resolves to an TeamworkChat instance.
      */
     static from(details) {
         return APIClient.from(details).then(api => {
-            return new TeamworkChat(api, api.user);
+            return new TeamworkChat(api, api.user, pick(details, "reconnection", ...CLIENT_OPTIONS));
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Serialize a room for the store. The messages are stored separately and the
+ * people are stripped of any API details (i.e. the current user).
+ *
+ * @private
+ * @param  {Room}   room
+ * @return {Object}
+ */
+function serializeRoom(room) {
+    const details = omit(room.toJSON(), "messages");
+
+    return {
+        ...details,
+        people: details.people.map(person => omit(person.toJSON(), "api"))
+    };
+}
+
+/**
+ * Format the `unseen.counts.updated` frame contents (see TeamworkChat#getUnseenCount).
+ *
+ * @private
+ * @param  {Object} contents The frame contents.
+ * @return {Object}
+ */
+function formatUnseenCounts(contents) {
+    const conv = contents.conversationUnreadCounts;
+    const room = contents.unreadCounts;
+
+    return {
+        important: {
+            rooms: room.importantUnread,
+            conversations: conv ? conv.importantUnread : null
+        },
+
+        total: {
+            rooms: room.unread,
+            conversations: conv ? conv.unread : null
+        }
+    };
+}
@@ -1,25 +1,386 @@
 import { EventEmitter } from "events";
+import Promise from "bluebird";
+import { escapeRegExp } from "lodash";
 import winston from "winston";
+import MessageBuilder from "../MessageBuilder";
 
+/**
+ * Argument type converters. They return `undefined` for invalid input.
+ *
+ * @type {Object}
+ */
+const ARGUMENT_TYPES = {
+    string: input => input,
+    int: input => /^-?\d+$/.test(input) ? parseInt(input, 10) : undefined,
+    float: input => isNaN(parseFloat(input)) ? undefined : parseFloat(input),
+    handle: input => /^@?[\w.-]+$/.test(input) ? input.replace(/^@/, "") : undefined
+};
+
+/**
+ * Parse a command's argument spec e.g. "remind <handle> <minutes:int> [message...]".
+ *
+ * @private
+ * @param  {String} spec The command spec.
+ * @return {Object}      { name, params: [{ name, type, optional, rest }] }
+ */
+function parseSpec(spec) {
+    const [ name, ...tokens ] = spec.trim().split(/\s+/);
+
+    const params = tokens.map(token => {
+        const match = token.match(/^([<[])(\w+)(?::(\w+))?(\.\.\.)?[>\]]$/);
+
+        if(!match) {
+            throw new Error(`Invalid parameter "${token}" in command "${spec}".`);
+        }
+
+        const [, bracket, param, type = "string", rest ] = match;
+
+        if(!ARGUMENT_TYPES[type]) {
+            throw new Error(`Unknown parameter type "${type}" in command "${spec}".`);
+        }
+
+        return { name: param, type, optional: bracket === "[", rest: !!rest };
+    });
+
+    return { name: name.toLowerCase(), params };
+}
+
+/**
+ * Split command input into arguments. Double quotes group arguments with spaces.
+ *
+ * @private
+ * @param  {String} input The command input (without the command name).
+ * @return {String[]}
+ */
+function tokenize(input) {
+    const tokens = [];
+    const matcher = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while((match = matcher.exec(input))) {
+        tokens.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+
+    return tokens;
+}
+
+/**
+ * The base class for chat bots. Bots declare commands with Bot#command and the bot routes
+ * messages addressed to it (prefixed with `!`, starting with an @mention of the bot or sent
+ * in a direct conversation) to the matching command. Messages replayed after a reconnect
+ * (see Room "message") are ignored unless the bot is created with `replayed: true`.
+ *
+ *      class FootballBot extends Bot {
+ *          constructor(chat) {
+ *              super(chat, { rooms: [ 1234 ] });
+ *
+ *              this.command("in [name...]", { description: "count yourself in" }, (message, { name }) => {
+ *                  return `${name || message.author.firstName}, you're in`;
+ *              });
+ *
+ *              this.command(/how many/, { usage: "how many?" }, () => `There are ${this.attending.length} attending.`);
+ *          }
+ *      }
+ *
+ *      new FootballBot(chat).start();
+ *
+ * Command handlers are called with the message and the parsed arguments (the named parameters for
+ * spec commands, the match for pattern commands). If a handler returns (or resolves to) a string or
+ * a MessageBuilder, it's sent to the room.
+ *
+ * Events:
+ *
+ *      "command": ({Object} command, {Message} message, {Object|Array} args)
+ *
+ *          Emitted when a command is run.
+ *
+ *      "command:unknown": ({Message} message, {String} input)
+ *
+ *          Emitted when a message is addressed to the bot but matches no command.
+ *
+ */
 export default class Bot extends EventEmitter {
     static transports = winston.transports;
-    
-    constructor(chat) {
+
+    /** @type {Object[]} The registered commands. */
+    commands = [];
+
+    /**
+     * Create a new bot.
+     *
+     * @param  {TeamworkChat}   chat                    The TeamworkChat instance the bot runs as.
+     * @param  {Object}         options                 Bot options.
+     * @param  {String}         options.prefix          The command prefix (default: "!").
+     * @param  {Number[]}       options.rooms           Only respond in these rooms (default: all rooms).
+     * @param  {Boolean}        options.replyToUnknown  Reply to unknown commands that were prefixed or mentioned
+     *                                                  the bot (default: true).
+     * @param  {Boolean}        options.replayed        Run commands in messages missed while disconnected and
+     *                                                  replayed on reconnect (default: false).
+     */
+    constructor(chat, { prefix = "!", rooms = null, replyToUnknown = true, replayed = false } = {}) {
         super();
-        
+
         if(this.constructor.name === "Bot") {
             throw new Error("Bot class is to be extended and not instantiated directly.");
         }
 
         this.chat = chat;
+        this.prefix = prefix;
+        this.rooms = rooms;
+        this.replyToUnknown = replyToUnknown;
+        this.replayed = replayed;
         this.log = new winston.Logger({
             transports: [
                 new winston.transports.Console()
             ]
         });
+
+        this.onMessage = this.onMessage.bind(this);
+
+        this.command("help", { description: "list the commands" }, message => this.getHelp(message.room));
     }
 
+    /**
+     * Register a command.
+     *
+     * @param  {String|RegExp}  command             The command spec e.g. "remind <handle> <minutes:int> [message...]"
+     *                                              (parameter types: string, int, float, handle) or a pattern to
+     *                                              match against the message content.
+     * @param  {Object}         options             Command options (optional).
+     * @param  {String}         options.description The description for the help text.
+     * @param  {String}         options.usage       The usage for the help text (default: the spec or pattern).
+     * @param  {Number[]}       options.rooms       Only run the command in these rooms.
+     * @param  {Function}       handler             The command handler: (message, args) => {String|MessageBuilder|Promise|void}.
+     * @return {Bot}                                The bot, for chaining.
+     */
+    command(command, options, handler) {
+        if(typeof options === "function") {
+            handler = options;
+            options = {};
+        }
+
+        const definition = { ...options, handler };
+
+        if(command instanceof RegExp) {
+            Object.assign(definition, { pattern: command, usage: options.usage || command.source });
+        } else {
+            Object.assign(definition, parseSpec(command), { usage: options.usage || command.trim() });
+
+            // Allow overriding commands (e.g. the default `help`)
+            this.commands = this.commands.filter(existing => existing.name !== definition.name);
+        }
+
+        this.commands.push(definition);
+
+        return this;
+    }
+
+    /**
+     * Start listening for commands.
+     *
+     * @return {Bot}
+     */
     start() {
-        throw new Error(`${this.constructor.name} has not implemented \`start\`.`);
+        this.chat.on("message", this.onMessage);
+
+        return this;
+    }
+
+    /**
+     * Stop listening for commands.
+     *
+     * @return {Bot}
+     */
+    stop() {
+        this.chat.removeListener("message", this.onMessage);
+
+        return this;
+    }
+
+    /**
+     * Event Handler: Route messages to commands.
+     *
+     * @param  {Room}       room    The room the message was sent to.
+     * @param  {Message}    message The message.
+     * @return {Promise}            Resolves when the command completes.
+     */
+    onMessage(room, message) {
+        if(message.author === this.chat || message.userId === this.chat.id || !this.isActiveIn(room, this.rooms)) {
+            return Promise.resolve();
+        }
+
+        // Don't run the commands again that were (probably) run before we disconnected
+        if(message.replayed && !this.replayed) {
+            return Promise.resolve();
+        }
+
+        return this.handleCommand(room, message).catch(error => {
+            this.log.error(`${this.constructor.name}: command failed for message ${message.id}`, error);
+        });
+    }
+
+    /**
+     * Find and run the command for a message.
+     *
+     * @param  {Room}       room    The room the message was sent to.
+     * @param  {Message}    message The message.
+     * @return {Promise}            Resolves when the command completes.
+     */
+    handleCommand(room, message) {
+        return Promise.try(() => {
+            let input = (message.content || "").trim();
+            // The handle has to end at a word boundary so "@bottle" isn't a mention of "@bot"
+            const mention = new RegExp(`^@${escapeRegExp(this.chat.handle)}\\b`);
+            const mentioned = mention.test(input);
+            if(mentioned) {
+                input = input.replace(mention, "").replace(/^[\s,:]+/, "");
+            }
+
+            const prefixed = input.startsWith(this.prefix);
+            if(prefixed) {
+                input = input.substr(this.prefix.length);
+            }
+
+            if(room.type !== "pair" && !mentioned && !prefixed) {
+                return;
+            }
+
+            const commands = this.commands.filter(command => this.isActiveIn(room, command.rooms));
+
+            // Patterns only match messages addressed to the bot without the prefix
+            if(!prefixed) {
+                for(const command of commands.filter(command => command.pattern)) {
+                    const match = input.match(command.pattern);
+
+                    if(match) {
+                        return this.runCommand(command, room, message, match);
+                    }
+                }
+            }
+
+            const [ name = "" ] = input.split(/\s/, 1);
+            const command = commands.find(command => command.name === name.toLowerCase());
+
+            if(!command) {
+                this.emit("command:unknown", message, input);
+
+                // Ordinary messages in direct conversations aren't commands
+                if(this.replyToUnknown && (prefixed || mentioned)) {
+                    const reply = new MessageBuilder().text("Sorry");
+
+                    // The author isn't always loaded (i.e. it's their ID)
+                    if(message.author && message.author.handle) {
+                        reply.text(" ").mention(message.author);
+                    }
+
+                    return room.sendMessage(reply
+                        .text(`, I don't know how to "${input}". Say `)
+                        .code(`${this.prefix}help`)
+                        .text(" for a list of commands."));
+                }
+
+                return;
+            }
+
+            const args = this.parseArguments(command, input.substr(name.length));
+
+            if(!args) {
+                return room.sendMessage(`Usage: ${this.prefix}${command.usage}`);
+            }
+
+            return this.runCommand(command, room, message, args);
+        });
+    }
+
+    /**
+     * Run a command handler and send the reply, if any.
+     *
+     * @private
+     * @param  {Object}       command The command definition.
+     * @param  {Room}         room    The room the message was sent to.
+     * @param  {Message}      message The message.
+     * @param  {Object|Array} args    The command arguments.
+     * @return {Promise}
+     */
+    runCommand(command, room, message, args) {
+        this.emit("command", command, message, args);
+
+        return Promise.try(() => command.handler.call(this, message, args)).then(reply => {
+            if(typeof reply === "string" || reply instanceof MessageBuilder) {
+                return room.sendMessage(reply);
+            }
+        });
+    }
+
+    /**
+     * Parse the input for a command into the named parameters.
+     *
+     * @param  {Object} command The command definition.
+     * @param  {String} input   The input following the command name.
+     * @return {Object}         The arguments or null if the input is invalid.
+     */
+    parseArguments(command, input) {
+        const tokens = tokenize(input);
+        const args = {};
+
+        for(const param of command.params) {
+            if(param.rest) {
+                const rest = tokens.splice(0);
+
+                if(!rest.length && !param.optional) {
+                    return null;
+                }
+
+                args[param.name] = rest.length ? rest.join(" ") : undefined;
+                continue;
+            }
+
+            if(!tokens.length) {
+                if(param.optional) {
+                    continue;
+                }
+
+                return null;
+            }
+
+            const value = ARGUMENT_TYPES[param.type](tokens.shift());
+
+            if(value === undefined) {
+                return null;
+            }
+
+            args[param.name] = value;
+        }
+
+        // Too many arguments
+        return tokens.length ? null : args;
+    }
+
+    /**
+     * Generate the help text for the commands available in a room.
+     *
+     * @param  {Room} room  The room.
+     * @return {String}
+     */
+    getHelp(room) {
+        const commands = this.commands.filter(command => this.isActiveIn(room, command.rooms));
+
+        return "Commands:\n" + commands.map(command => {
+            const usage = command.pattern ? `@${this.chat.handle} ${command.usage}` : `${this.prefix}${command.usage}`;
+
+            return command.description ? `${usage} - ${command.description}` : usage;
+        }).join("\n");
+    }
+
+    /**
+     * Test whether a room is in a list of room IDs.
+     *
+     * @private
+     * @param  {Room}       room  The room.
+     * @param  {Number[]}   rooms The room IDs (or null for all rooms).
+     * @return {Boolean}
+     */
+    isActiveIn(room, rooms) {
+        return !rooms || rooms.includes(room.id);
     }
 }
\ No newline at end of file
@@ -1,6 +1,20 @@
 export Room from "./Room";
 export Person from "./Person";
 export Message from "./Message";
+export MessageBuilder, { MAX_MESSAGE_LENGTH } from "./MessageBuilder";
+export Company from "./Company";
+export Scheduler from "./Scheduler";
+export Cassette from "./lib/Cassette";
 export APIClient, { HTTPError } from "./APIClient";
-export { prompt } from "./util";
+export { Store, MemoryStore, JSONFileStore, SQLiteStore } from "./stores";
+export { parseCron, getNextCronDate } from "./lib/cron";
+export { RECONNECT_STRATEGIES, DEFAULT_RECONNECTION_POLICY, getReconnectDelay, validateReconnectionPolicy } from "./lib/reconnection";
+export { Histogram, LATENCY_BUCKETS, formatPrometheus, createMetricsServer } from "./lib/metrics";
+export { FRAMES, registerFrame, validateFrame, FrameValidationError } from "./lib/frames";
+export { Bot } from "./bots";
+export { MockServer } from "./mock";
+export {
+    prompt, parseDate, Dialog, Transcript, exportRoom, exportMessages, EXPORT_FORMATS,
+    parseMessage, tokensToText, escapeMarkup, TOKEN_TYPES
+} from "./util";
 export default from "./TeamworkChat";
\ No newline at end of file
@@ -0,0 +1,418 @@
+import fs from "fs";
+import url from "url";
+import { EventEmitter } from "events";
+import Promise from "bluebird";
+import { Response } from "node-fetch";
+import { isPlainObject, mapValues } from "lodash";
+import APIClient from "../APIClient";
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * The value secrets are replaced with when a cassette is saved.
+ *
+ * @type {String}
+ */
+export const REDACTED = "[REDACTED]";
+
+/**
+ * The properties (in HTTP bodies and frame contents) that are redacted.
+ *
+ * @type {String[]}
+ */
+export const REDACTED_KEYS = ["auth", "authkey", "authKey", "password", "apiKey"];
+
+/**
+ * Frames that aren't recorded. The replay socket answers pings itself because they're sent on a timer.
+ *
+ * @type {String[]}
+ */
+const UNRECORDED_FRAMES = ["ping", "pong"];
+
+/**
+ * Records the socket frames and HTTP requests of every APIClient to a cassette and replays them. Recording
+ * and replaying work by replacing `APIClient.WebSocket` and `APIClient.fetch` until `stop` is called.
+ *
+ *      // Record
+ *      const cassette = new Cassette().record();
+ *      const chat = await TeamworkChat.fromAuth(installation, auth);
+ *      ...
+ *      await cassette.stop().save("bug.cassette.json");
+ *
+ *      // Replay (e.g. in a test)
+ *      const cassette = (await Cassette.load("bug.cassette.json")).replay();
+ *      const chat = await TeamworkChat.fromAuth(installation, "replay");
+ *
+ * Auth tokens and passwords are redacted when the cassette is saved (see REDACTED_KEYS).
+ *
+ * When replaying, HTTP requests are answered with the first unused recording with the same method and
+ * URL (or path, if the query differs e.g. timestamps). Each socket plays back a recorded connection: the
+ * incoming frames are emitted in order with their recorded gaps (divided by `speed`) but never before the
+ * client has sent the frames that preceded them. Nonces are rewritten so responses match the requests.
+ */
+export default class Cassette {
+    /** @type {Object[]} The recorded HTTP requests and socket frames, in order. */
+    entries = [];
+
+    /**
+     * Create a new Cassette.
+     *
+     * @param  {Object[]} entries The recorded entries (see Cassette.load).
+     */
+    constructor(entries = []) {
+        this.entries = entries;
+        this.secrets = new Set();
+        this.restore = null;
+    }
+
+    /**
+     * Start recording every APIClient's traffic.
+     *
+     * @return {Cassette}
+     */
+    record() {
+        this.install();
+        this.start = Date.now();
+
+        const { fetch, WebSocket } = APIClient;
+        APIClient.fetch = this.createRecordingFetch(fetch);
+        APIClient.WebSocket = this.createRecordingWebSocket(WebSocket);
+
+        return this;
+    }
+
+    /**
+     * Start replaying the cassette to every new APIClient.
+     *
+     * @param  {Object} options         Replay options.
+     * @param  {Number} options.speed   The playback speed of the gaps between frames (default: 1, Infinity for no gaps).
+     * @return {Cassette}
+     */
+    replay({ speed = 1 } = {}) {
+        this.install();
+        this.speed = speed;
+        this.played = new Set();
+
+        APIClient.fetch = this.replayFetch.bind(this);
+        APIClient.WebSocket = createReplayWebSocket(this);
+
+        return this;
+    }
+
+    /**
+     * Stop recording or replaying and restore the original `APIClient.WebSocket` and `APIClient.fetch`.
+     *
+     * @return {Cassette}
+     */
+    stop() {
+        if(this.restore) {
+            this.restore();
+            this.restore = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Save the (redacted) cassette.
+     *
+     * @param  {String} path The file path.
+     * @return {Promise}
+     */
+    save(path) {
+        return writeFile(path, JSON.stringify(this, null, 2));
+    }
+
+    /**
+     * Serialize the cassette with the secrets redacted.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            version: 1,
+            entries: this.redact(this.entries)
+        };
+    }
+
+    /**
+     * Load a cassette.
+     *
+     * @param  {String} path The file path.
+     * @return {Promise<Cassette>}
+     */
+    static load(path) {
+        return readFile(path, { encoding: "utf8" }).then(contents => new Cassette(JSON.parse(contents).entries));
+    }
+
+    /**
+     * Save the current hooks to restore on `stop`.
+     *
+     * @private
+     */
+    install() {
+        this.stop();
+        this.connections = 0;
+
+        const { fetch, WebSocket } = APIClient;
+        this.restore = () => Object.assign(APIClient, { fetch, WebSocket });
+    }
+
+    /**
+     * @private
+     * @param  {Object} entry The entry to record.
+     */
+    add(entry) {
+        this.entries.push({ ...entry, time: Date.now() - this.start });
+    }
+
+    /**
+     * Remember any `tw-auth` cookie values to redact.
+     *
+     * @private
+     * @param  {String} cookies The Cookie or Set-Cookie header value.
+     */
+    addSecrets(cookies = "") {
+        (cookies.match(/tw-auth=[^;\s]+/g) || []).forEach(cookie => this.secrets.add(cookie.split("=")[1]));
+    }
+
+    /**
+     * Redact the secrets in a value.
+     *
+     * @private
+     * @param  {Any}    value   The value.
+     * @param  {String} key     The value's property name.
+     * @return {Any}            The redacted value.
+     */
+    redact(value, key) {
+        if(REDACTED_KEYS.includes(key) && value) {
+            return REDACTED;
+        }
+
+        if(Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+
+        if(isPlainObject(value)) {
+            return mapValues(value, (item, key) => this.redact(item, key));
+        }
+
+        if(typeof value === "string") {
+            return Array.from(this.secrets).reduce((value, secret) => value.split(secret).join(REDACTED), value);
+        }
+
+        return value;
+    }
+
+    /**
+     * @private
+     * @param  {Function} fetch The fetch implementation to record.
+     * @return {Function}       The recording fetch.
+     */
+    createRecordingFetch(fetch) {
+        return (target, options = {}) => {
+            this.addSecrets(options.headers && options.headers.Cookie);
+
+            return Promise.resolve(fetch(target, options)).then(res => res.buffer().then(body => {
+                const headers = res.headers.raw();
+                const isText = /json|text/.test(res.headers.get("Content-Type"));
+
+                this.addSecrets((headers["set-cookie"] || []).join("; "));
+                this.add({
+                    type: "http",
+                    request: {
+                        method: options.method || "GET",
+                        url: target,
+                        body: Buffer.isBuffer(options.body) ? options.body.toString("base64") : parseJSON(options.body)
+                    },
+                    response: {
+                        status: res.status,
+                        statusText: res.statusText,
+                        headers,
+                        encoding: isText ? "utf8" : "base64",
+                        body: isText ? parseJSON(body.toString()) : body.toString("base64")
+                    }
+                });
+
+                return new Response(body, { url: res.url, status: res.status, statusText: res.statusText, headers });
+            }));
+        };
+    }
+
+    /**
+     * @private
+     * @param  {Function} WebSocket The WebSocket implementation to record.
+     * @return {Function}           The recording WebSocket class.
+     */
+    createRecordingWebSocket(WebSocket) {
+        const cassette = this;
+
+        return class RecordingWebSocket extends WebSocket {
+            constructor(...args) {
+                super(...args);
+
+                const connection = this.connection = cassette.connections++;
+
+                this.on("message", data => cassette.addFrame(connection, "in", data));
+                this.on("close", () => cassette.add({ type: "socket", connection, event: "close" }));
+            }
+
+            send(data, ...args) {
+                cassette.addFrame(this.connection, "out", data);
+                return super.send(data, ...args);
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    addFrame(connection, direction, data) {
+        const frame = parseJSON(data.toString());
+
+        if(!UNRECORDED_FRAMES.includes(frame.name)) {
+            this.add({ type: "socket", connection, direction, frame });
+        }
+    }
+
+    /**
+     * Answer a request with a recorded response.
+     *
+     * @private
+     * @param  {String} target  The URL.
+     * @param  {Object} options The fetch options.
+     * @return {Promise<Response>}
+     */
+    replayFetch(target, options = {}) {
+        const method = options.method || "GET";
+        const pathname = target => url.parse(target).pathname;
+        const recordings = this.entries.filter(entry => entry.type === "http" && !this.played.has(entry) && entry.request.method === method);
+
+        const entry = recordings.find(({ request }) => request.url === target) ||
+            recordings.find(({ request }) => pathname(request.url) === pathname(target));
+
+        if(!entry) {
+            return Promise.reject(new Error(`No recorded response for ${method} ${target}.`));
+        }
+
+        this.played.add(entry);
+
+        const { status, statusText, headers, encoding, body } = entry.response;
+        const data = encoding === "base64" ? new Buffer(body, "base64") : new Buffer(typeof body === "string" ? body : JSON.stringify(body));
+
+        return Promise.resolve(new Response(data, {
+            url: target, status, statusText,
+            headers: { ...headers, "content-length": String(data.length) }
+        }));
+    }
+}
+
+/**
+ * Create the WebSocket class that replays a cassette's connections, one per socket.
+ *
+ * @private
+ * @param  {Cassette} cassette The cassette.
+ * @return {Function}          The ReplayWebSocket class.
+ */
+function createReplayWebSocket(cassette) {
+    return class ReplayWebSocket extends EventEmitter {
+        readyState = 0;
+
+        constructor(address) {
+            super();
+
+            this.address = address;
+            this.connection = cassette.connections++;
+            this.entries = cassette.entries.filter(entry => entry.type === "socket" && entry.connection === this.connection);
+            this.nonces = {};
+            this.time = this.entries.length ? this.entries[0].time : 0;
+
+            setImmediate(() => {
+                this.readyState = 1;
+                this.emit("open");
+                this.play();
+            });
+        }
+
+        send(data) {
+            const frame = JSON.parse(data);
+
+            if(frame.name === "ping") {
+                return setImmediate(() => this.receive(APIClient.createFrame("pong", {}, false), frame.nonce));
+            }
+
+            const index = this.entries.findIndex(entry => entry.direction === "out" && entry.frame.name === frame.name);
+
+            if(index === -1) {
+                return setImmediate(() => this.emit("error", new Error(`Unexpected frame "${frame.name}" sent while replaying.`)));
+            }
+
+            const [ entry ] = this.entries.splice(index, 1);
+
+            if(entry.frame.nonce !== null && entry.frame.nonce !== undefined) {
+                this.nonces[entry.frame.nonce] = frame.nonce;
+            }
+
+            this.time = Math.max(this.time, entry.time);
+            setImmediate(() => this.play());
+        }
+
+        /**
+         * Play the incoming frames up to the next frame the client has to send.
+         */
+        play() {
+            const [ next ] = this.entries;
+
+            if(this.playing || this.readyState !== 1 || !next || next.direction === "out") {
+                return;
+            }
+
+            this.playing = true;
+
+            Promise.delay(Math.max(next.time - this.time, 0) / cassette.speed).then(() => {
+                this.playing = false;
+                this.entries.shift();
+                this.time = next.time;
+
+                if(next.event === "close") {
+                    return this.close();
+                }
+
+                this.receive(next.frame, this.nonces[next.frame.nonce]);
+                this.play();
+            });
+        }
+
+        receive(frame, nonce = frame.nonce) {
+            if(this.readyState === 1) {
+                this.emit("message", JSON.stringify({ ...frame, nonce }));
+            }
+        }
+
+        close() {
+            if(this.readyState === 3) {
+                return;
+            }
+
+            this.readyState = 3;
+            setImmediate(() => this.emit("close"));
+        }
+
+        terminate() {
+            this.close();
+        }
+    };
+}
+
+function parseJSON(value) {
+    if(typeof value !== "string") {
+        return value === undefined ? null : value;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch(err) {
+        return value;
+    }
+}
\ No newline at end of file
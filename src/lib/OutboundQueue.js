@@ -0,0 +1,186 @@
+import { EventEmitter } from "events";
+import Promise, { TimeoutError } from "bluebird";
+
+/**
+ * The outbound request queue for APIClient. Socket requests are sent one at a time, in the
+ * order they were queued. While the socket is disconnected the requests are held in the
+ * queue and they're flushed once it reconnects. Requests that time out are retried with
+ * an exponential backoff if they're retryable (see `isRetryable`), otherwise they fail.
+ * The same goes for a request in flight when the connection drops: it's sent again after
+ * the reconnect if it's retryable, otherwise it fails since the server may have received it.
+ *
+ * Note: a request waiting on a retry holds up every request queued behind it, so only
+ * requests where the order matters should go through the queue. Frames that don't wait
+ * on a response (e.g. typing and status updates, see APIClient#sendFrame) bypass it.
+ *
+ * Each queued request is an entry with a `state`:
+ *
+ *      "pending"   Waiting to be sent (or waiting on the response).
+ *      "sent"      The server responded.
+ *      "failed"    The request failed or ran out of retries. See `entry.error`.
+ *
+ * Events:
+ *
+ *      "pending": ({Object} entry)
+ *
+ *          Emitted when a request is queued.
+ *
+ *      "retry": ({Object} entry, {Number} delay)
+ *
+ *          Emitted when a request timed out and will be retried after `delay` ms.
+ *
+ *      "sent": ({Object} entry, {Object} response)
+ *
+ *          Emitted when the response for a request is received.
+ *
+ *      "failed": ({Object} entry, {Error} error)
+ *
+ *          Emitted when a request fails.
+ *
+ */
+export default class OutboundQueue extends EventEmitter {
+    /** @type {Number} The amount of times to retry a request that timed out. */
+    maxRetries = 3;
+
+    /** @type {Number} The delay in ms before the first retry. */
+    retryDelay = 1000;
+
+    /** @type {Number} The factor the retry delay increases by for each subsequent retry. */
+    backoffFactor = 2;
+
+    /** @type {Function} Whether timed out requests of a frame type are retried: (type) => {Boolean}. */
+    isRetryable = () => true;
+
+    /** @type {Object[]} The pending entries, in order. */
+    entries = [];
+
+    /**
+     * Create a new OutboundQueue.
+     *
+     * @param  {Function} send          Send a request: (type, contents, timeout) => {Promise<Object>} response.
+     * @param  {Function} isConnected   Returns whether the socket is connected.
+     * @param  {Object}   options       Override `maxRetries`, `retryDelay`, `backoffFactor` or `isRetryable`.
+     */
+    constructor(send, isConnected, options = {}) {
+        super();
+
+        this.send = send;
+        this.isConnected = isConnected;
+        this.processing = false;
+
+        Object.assign(this, options);
+    }
+
+    /**
+     * Queue a request.
+     *
+     * @param  {String} type        The frame type.
+     * @param  {Object} contents    The frame contents.
+     * @param  {Number} timeout     The response timeout in ms.
+     * @return {Promise<Object>}    Resolves to the response frame. The promise has an `entry`
+     *                              property with the queue entry.
+     */
+    push(type, contents, timeout) {
+        const entry = {
+            type, contents, timeout,
+            state: "pending",
+            attempts: 0,
+            error: null,
+            queuedAt: new Date(),
+            sentAt: null
+        };
+
+        const promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        this.entries.push(entry);
+        this.emit("pending", entry);
+        this.flush();
+
+        return Object.assign(promise, { entry });
+    }
+
+    /**
+     * Send the queued requests in order. This is called when requests are queued and
+     * when the socket reconnects.
+     */
+    flush() {
+        if(this.processing || !this.entries.length || !this.isConnected()) {
+            return;
+        }
+
+        const [ entry ] = this.entries;
+        this.processing = true;
+        entry.attempts++;
+
+        Promise.try(() => this.send(entry.type, entry.contents, entry.timeout)).then(response => {
+            // The queue was cleared while the request was in flight
+            if(!this.entries.includes(entry)) {
+                return;
+            }
+
+            this.remove(entry);
+            entry.state = "sent";
+            entry.sentAt = new Date();
+            entry.resolve(response);
+            this.emit("sent", entry, response);
+        }).catch(error => {
+            if(!this.entries.includes(entry)) {
+                return;
+            }
+
+            if(!this.isConnected() && this.isRetryable(entry.type)) {
+                // Lost the connection, leave the request at the head of the queue until we reconnect.
+                entry.attempts--;
+                return;
+            }
+
+            if(error instanceof TimeoutError && this.isRetryable(entry.type) && entry.attempts <= this.maxRetries) {
+                const delay = this.retryDelay * Math.pow(this.backoffFactor, entry.attempts - 1);
+                this.emit("retry", entry, delay);
+
+                return Promise.delay(delay);
+            }
+
+            this.remove(entry);
+            this.fail(entry, error);
+        }).finally(() => {
+            this.processing = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Fail all the pending requests e.g. when the connection is closed for good.
+     *
+     * @param  {Error} error The error to reject the requests with.
+     */
+    clear(error) {
+        const entries = this.entries;
+        this.entries = [];
+
+        entries.forEach(entry => this.fail(entry, error));
+    }
+
+    /**
+     * @private
+     * @param  {Object} entry The entry.
+     */
+    remove(entry) {
+        this.entries = this.entries.filter(existing => existing !== entry);
+    }
+
+    /**
+     * @private
+     * @param  {Object} entry The entry.
+     * @param  {Error}  error The error.
+     */
+    fail(entry, error) {
+        entry.state = "failed";
+        entry.error = error;
+        entry.reject(error);
+        this.emit("failed", entry, error);
+    }
+}
\ No newline at end of file
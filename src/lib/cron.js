@@ -0,0 +1,115 @@
+import moment from "moment";
+
+/**
+ * The cron expression fields: minute, hour, day of month, month and day of week (0 or 7 is Sunday).
+ *
+ * @type {Object[]}
+ */
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "date", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "day", min: 0, max: 7 }
+];
+
+/**
+ * Expression shorthands.
+ *
+ * @type {Object}
+ */
+const ALIASES = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+    "@yearly": "0 0 1 1 *"
+};
+
+/**
+ * Parse a cron expression e.g. "30 9 * * 1-5" (9:30 every weekday) into the allowed values
+ * for each field. Fields support `*`, lists (`1,15`), ranges (`1-5`) and steps (`*\/15`, `0-30/10`).
+ *
+ * @param  {String} expression  The cron expression.
+ * @return {Object}             The allowed values (as Sets) keyed by field name.
+ */
+export function parseCron(expression) {
+    const parts = (ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+
+    if(parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields.`);
+    }
+
+    return FIELDS.reduce((schedule, field, i) => {
+        const values = new Set();
+
+        parts[i].split(",").forEach(part => {
+            const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+            if(!match) {
+                throw new Error(`Invalid cron expression "${expression}": invalid ${field.name} "${part}".`);
+            }
+
+            const [, range, start, end, step = "1"] = match;
+            const from = range === "*" ? field.min : parseInt(start, 10);
+            const to = range === "*" ? field.max : end !== undefined ? parseInt(end, 10) : step !== "1" ? field.max : from;
+
+            if(from < field.min || to > field.max || from > to || parseInt(step, 10) < 1) {
+                throw new Error(`Invalid cron expression "${expression}": ${field.name} "${part}" is out of range.`);
+            }
+
+            for(let value = from; value <= to; value += parseInt(step, 10)) {
+                // Sunday can be 0 or 7
+                values.add(field.name === "day" && value === 7 ? 0 : value);
+            }
+        });
+
+        schedule[field.name] = values;
+
+        return schedule;
+    }, {});
+}
+
+/**
+ * Get the next time a cron expression matches after a given time.
+ *
+ * @param  {String} expression  The cron expression.
+ * @param  {Moment} after       The time to start from (default: now).
+ * @return {Moment}             The next matching time.
+ */
+export function getNextCronDate(expression, after = moment()) {
+    const schedule = parseCron(expression);
+    const date = moment(after).startOf("minute").add(1, "minute");
+    const limit = moment(after).add(5, "years");
+
+    // Like cron, if both the day of month and day of week are restricted, either can match.
+    const dateRestricted = schedule.date.size !== 31;
+    const dayRestricted = schedule.day.size !== 7;
+
+    const matchesDay = () => {
+        const matchesDate = schedule.date.has(date.date());
+        const matchesWeekday = schedule.day.has(date.day());
+
+        if(dateRestricted && dayRestricted) {
+            return matchesDate || matchesWeekday;
+        }
+
+        return matchesDate && matchesWeekday;
+    };
+
+    while(date.isBefore(limit)) {
+        if(!schedule.month.has(date.month() + 1)) {
+            date.add(1, "month").startOf("month");
+        } else if(!matchesDay()) {
+            date.add(1, "day").startOf("day");
+        } else if(!schedule.hour.has(date.hour())) {
+            date.add(1, "hour").startOf("hour");
+        } else if(!schedule.minute.has(date.minute())) {
+            date.add(1, "minute");
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error(`Cron expression "${expression}" doesn't match any date.`);
+}
\ No newline at end of file
@@ -0,0 +1,273 @@
+import { isNil, isPlainObject, isUndefined } from "lodash";
+
+/**
+ * The known socket frames (see docs/Socket-Frames.md). Each frame is described by
+ * the schema of it's contents for the direction it travels: "incoming" (sent by the
+ * server) and/or "outgoing" (sent by the client). If a direction is missing, the frame
+ * is not expected to travel in that direction.
+ *
+ * Schemas are objects that map a property of the contents to a type. Types are strings
+ * of any of the following, separated by "|" to allow more than one type:
+ *
+ *      "string", "number", "boolean", "object", "array", "null", "any"
+ *
+ * Types can be suffixed with "?" to mark the property optional i.e. it can be missing or
+ * null. Nested objects can be described by using another schema object instead of a type
+ * string (suffix the property name with "?" to mark a nested object optional). Any
+ * properties not described in the schema are allowed.
+ *
+ * @type {Object}
+ */
+export const FRAMES = {
+    "authentication.request": { incoming: "any" },
+    "authentication.response": {
+        outgoing: {
+            authKey: "string",
+            userId: "number",
+            installationDomain: "string",
+            installationId: "number",
+            clientVersion: "string"
+        }
+    },
+    "authentication.confirmation": { incoming: "any" },
+    "authentication.error": { incoming: "any" },
+
+    "ping": { outgoing: {} },
+    "pong": { incoming: "any" },
+
+    "room.message.created": {
+        incoming: {
+            id: "number",
+            roomId: "number",
+            userId: "number",
+            body: "string",
+            createdAt: "string",
+            file: "object?"
+        },
+        outgoing: {
+            roomId: "number",
+            body: "string",
+            "file?": {
+                name: "string",
+                key: "string",
+                contentType: "string?"
+            }
+        }
+    },
+    "room.message.updated": {
+        incoming: {
+            id: "number",
+            roomId: "number",
+            userId: "number?",
+            body: "string?",
+            thirdPartyCards: "array?"
+        }
+    },
+    "room.messages.deleted": {
+        incoming: {
+            roomId: "number|string",
+            ids: "array"
+        }
+    },
+    "room.messages.deleted-undone": {
+        incoming: {
+            roomId: "number|string",
+            ids: "array"
+        }
+    },
+
+    "room.updated": { incoming: { id: "number" } },
+    "room.deleted": { incoming: { id: "number" } },
+    "room.user.active": {
+        incoming: {
+            roomId: "number",
+            date: "string",
+            userId: "number?"
+        },
+        outgoing: {
+            roomId: "number",
+            date: "string"
+        }
+    },
+    "room.typing": {
+        incoming: {
+            roomId: "number",
+            isTyping: "boolean",
+            userId: "number?"
+        },
+        outgoing: {
+            roomId: "number",
+            isTyping: "boolean"
+        }
+    },
+
+    "user.added": { incoming: { id: "number" } },
+    "user.updated": { incoming: { id: "number" } },
+    "user.deleted": { incoming: { id: "number" } },
+    "user.modified": {
+        incoming: {
+            userId: "number",
+            key: "string",
+            value: "any"
+        }
+    },
+    "user.modified.status": { outgoing: { status: "string" } },
+
+    "company.added": { incoming: { id: "number" } },
+    "company.updated": { incoming: { id: "number" } },
+    "company.deleted": { incoming: { id: "number" } },
+
+    "unseen.counts.request": { outgoing: {} },
+    "unseen.counts.updated": {
+        incoming: {
+            unreadCounts: {
+                unread: "number",
+                importantUnread: "number"
+            },
+            conversationUnreadCounts: "object|null?"
+        }
+    }
+};
+
+/**
+ * The validation modes:
+ *
+ *      "strict"    Invalid and unknown frames are dropped (incoming) or rejected (outgoing).
+ *      "lenient"   Invalid frames are reported but still handled. Unknown frames are ignored.
+ *      "off"       No validation.
+ *
+ * @type {Array}
+ */
+export const VALIDATION_MODES = ["strict", "lenient", "off"];
+
+/**
+ * Thrown when an outgoing frame fails validation in strict mode.
+ */
+export class FrameValidationError extends Error {
+    constructor(frame, errors) {
+        super();
+        this.name = this.constructor.name;
+        this.message = `Invalid frame "${frame.name}": ${errors.join(", ")}`;
+        this.frame = frame;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Register (or override) a frame description. See FRAMES.
+ *
+ * @param  {String} name        The frame name.
+ * @param  {Object} description The frame description i.e. { incoming, outgoing } schemas.
+ * @return {Object}             The frame description.
+ */
+export function registerFrame(name, description) {
+    return FRAMES[name] = description;
+}
+
+/**
+ * Validate a frame against the registry.
+ *
+ * @param  {Object}  frame          The frame object.
+ * @param  {String}  direction      The direction the frame is travelling: "incoming" or "outgoing".
+ * @param  {Object}  options
+ * @param  {Boolean} options.strict Whether unknown frames are invalid (default: false).
+ * @return {Array<String>}          A list of validation errors (empty if valid).
+ */
+export function validateFrame(frame, direction, { strict = false } = {}) {
+    if(!isPlainObject(frame)) {
+        return ["frame: expected object"];
+    }
+
+    if(typeof frame.name !== "string") {
+        return ["name: expected string"];
+    }
+
+    const description = FRAMES[frame.name];
+
+    if(!description) {
+        return strict ? [`name: unknown frame "${frame.name}"`] : [];
+    }
+
+    const schema = description[direction];
+
+    if(!schema) {
+        return [`name: "${frame.name}" is not an ${direction} frame`];
+    }
+
+    return validate(schema, frame.contents, "contents");
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @private
+ * @param  {Object|String} schema The schema object or type string.
+ * @param  {Any}           value  The value to validate.
+ * @param  {String}        path   The path of the value for error messages.
+ * @return {Array<String>}        The validation errors.
+ */
+function validate(schema, value, path) {
+    if(typeof schema === "string") {
+        const optional = schema.endsWith("?");
+        const types = schema.replace(/\?$/, "").split("|");
+
+        if(optional && isNil(value)) {
+            return [];
+        }
+
+        if(isUndefined(value)) {
+            return [`${path}: expected ${types.join(" or ")}, got undefined`];
+        }
+
+        return types.some(type => matchesType(type, value)) ? [] : [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+
+    if(!isPlainObject(value)) {
+        return [`${path}: expected object, got ${typeOf(value)}`];
+    }
+
+    return Object.keys(schema).reduce((errors, key) => {
+        const property = key.replace(/\?$/, "");
+
+        if(property !== key && isNil(value[property])) {
+            return errors;
+        }
+
+        return errors.concat(validate(schema[key], value[property], `${path}.${property}`));
+    }, []);
+}
+
+/**
+ * Test if a value is of a schema type.
+ *
+ * @private
+ * @param  {String}  type  The schema type.
+ * @param  {Any}     value The value.
+ * @return {Boolean}
+ */
+function matchesType(type, value) {
+    if(type === "any") {
+        return true;
+    }
+
+    return typeOf(value) === type;
+}
+
+/**
+ * Get the schema type of a value.
+ *
+ * @private
+ * @param  {Any}    value
+ * @return {String}
+ */
+function typeOf(value) {
+    if(value === null) {
+        return "null";
+    }
+
+    if(Array.isArray(value)) {
+        return "array";
+    }
+
+    return typeof value;
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+import http from "http";
+import url from "url";
+import Promise from "bluebird";
+import { map } from "lodash";
+
+/**
+ * The upper bounds (in ms) of the ping round-trip latency histogram buckets.
+ *
+ * @type {Number[]}
+ */
+export const LATENCY_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * A cumulative histogram like Prometheus': each bucket counts the observations less than
+ * or equal to its upper bound.
+ */
+export class Histogram {
+    /** @type {Number} The amount of observations. */
+    count = 0;
+
+    /** @type {Number} The sum of the observations. */
+    sum = 0;
+
+    /**
+     * Create a new Histogram.
+     *
+     * @param  {Number[]} buckets The bucket upper bounds, in ascending order.
+     */
+    constructor(buckets = LATENCY_BUCKETS) {
+        this.buckets = buckets.map(le => ({ le, count: 0 }));
+    }
+
+    /**
+     * Record an observation.
+     *
+     * @param  {Number} value The observed value.
+     */
+    observe(value) {
+        this.count++;
+        this.sum += value;
+
+        this.buckets.forEach(bucket => {
+            if(value <= bucket.le) {
+                bucket.count++;
+            }
+        });
+    }
+
+    /**
+     * Serialize the histogram.
+     *
+     * @return {Object} `{ count, sum, buckets }` where buckets maps each upper bound to its count.
+     */
+    toJSON() {
+        return {
+            count: this.count,
+            sum: this.sum,
+            buckets: this.buckets.reduce((buckets, { le, count }) => Object.assign(buckets, { [le]: count }), {})
+        };
+    }
+}
+
+/**
+ * Format TeamworkChat metrics (see TeamworkChat#getMetrics) as Prometheus text.
+ *
+ * @param  {Object} metrics The metrics.
+ * @return {String}         The Prometheus exposition format text.
+ */
+export function formatPrometheus(metrics) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP twchat_${name} ${help}`, `# TYPE twchat_${name} ${type}`);
+        samples.forEach(([ suffix, labels, value ]) => {
+            const labelText = map(labels, (value, key) => `${key}="${String(value).replace(/["\\\n]/g, "\\$&")}"`).join(",");
+            lines.push(`twchat_${name}${suffix}${labelText ? `{${labelText}}` : ""} ${value}`);
+        });
+    };
+
+    metric("uptime_seconds", "gauge", "Time since the TeamworkChat instance was created.", [["", {}, metrics.uptime]]);
+    metric("connected", "gauge", "Whether the socket is connected.", [["", {}, metrics.connected ? 1 : 0]]);
+    metric("disconnects_total", "counter", "Socket disconnections.", [["", {}, metrics.disconnects]]);
+    metric("reconnects_total", "counter", "Socket reconnections.", [["", {}, metrics.reconnects]]);
+    metric("downtime_seconds_total", "counter", "Time spent disconnected.", [["", {}, metrics.downtime]]);
+    metric("outbound_queue_depth", "gauge", "Socket requests waiting to be sent.", [["", {}, metrics.queue.depth]]);
+
+    metric("frames_total", "counter", "Socket frames by direction and name.", [].concat(
+        ...["in", "out"].map(direction => map(metrics.frames[direction], (count, name) => ["", { direction, name }, count]))
+    ));
+
+    const { ping } = metrics;
+    metric("ping_rtt_milliseconds", "histogram", "Ping round-trip latency.", [
+        ...map(ping.buckets, (count, le) => ["_bucket", { le }, count]),
+        ["_bucket", { le: "+Inf" }, ping.count],
+        ["_sum", {}, ping.sum],
+        ["_count", {}, ping.count]
+    ]);
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Create a HTTP server that serves a TeamworkChat instance's metrics:
+ *
+ *      GET /metrics        Prometheus text.
+ *      GET /metrics.json   JSON.
+ *
+ * @param  {TeamworkChat}   chat            The TeamworkChat instance.
+ * @param  {Object}         options         Server options.
+ * @param  {Number}         options.port    The port to listen on (default: 0, a random port).
+ * @param  {String}         options.host    The host to listen on (default: "127.0.0.1").
+ * @return {Promise<http.Server>}           Resolves to the listening server.
+ */
+export function createMetricsServer(chat, { port = 0, host = "127.0.0.1" } = {}) {
+    const server = http.createServer((req, res) => {
+        const { pathname } = url.parse(req.url);
+
+        if(req.method !== "GET" || !["/metrics", "/metrics.json"].includes(pathname)) {
+            res.statusCode = 404;
+            return res.end();
+        }
+
+        const metrics = chat.getMetrics();
+
+        if(pathname === "/metrics.json") {
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(metrics, null, 2));
+        } else {
+            res.setHeader("Content-Type", "text/plain; version=0.0.4");
+            res.end(formatPrometheus(metrics));
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
\ No newline at end of file
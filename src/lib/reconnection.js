@@ -0,0 +1,61 @@
+/**
+ * The reconnection strategies:
+ *
+ *      "fixed"         Wait `interval` ms between each attempt.
+ *      "exponential"   Wait `interval * factor ^ (attempt - 1)` ms, up to `maxInterval`.
+ *      "jittered"      Wait a random time between 0 and the exponential delay ("full jitter"),
+ *                      so a fleet of clients don't all reconnect at the same time.
+ *
+ * @type {Array}
+ */
+export const RECONNECT_STRATEGIES = ["fixed", "exponential", "jittered"];
+
+/**
+ * The default reconnection policy: retry every 3 seconds, forever.
+ *
+ * @type {Object}
+ */
+export const DEFAULT_RECONNECTION_POLICY = {
+    strategy: "fixed",
+    interval: 3000,
+    maxInterval: 60000,
+    factor: 2,
+    maxAttempts: Infinity
+};
+
+/**
+ * Validate a reconnection policy.
+ *
+ * @param  {Object} policy  The reconnection policy. See DEFAULT_RECONNECTION_POLICY.
+ * @return {Object}         The policy.
+ * @throws {Error}          If the policy's strategy is invalid.
+ */
+export function validateReconnectionPolicy(policy) {
+    const { strategy } = { ...DEFAULT_RECONNECTION_POLICY, ...policy };
+
+    if(!RECONNECT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Reconnection strategy must be one of {${RECONNECT_STRATEGIES.join(", ")}}. Invalid strategy: ${strategy}.`);
+    }
+
+    return policy;
+}
+
+/**
+ * Get the delay before a reconnection attempt.
+ *
+ * @param  {Object}     policy  The reconnection policy. See DEFAULT_RECONNECTION_POLICY.
+ * @param  {Number}     attempt The failed attempt count (starting at 1).
+ * @param  {Function}   random  The random number generator (default: Math.random).
+ * @return {Number}             The delay in ms.
+ */
+export function getReconnectDelay(policy, attempt, random = Math.random) {
+    const { strategy, interval, maxInterval, factor } = { ...DEFAULT_RECONNECTION_POLICY, ...validateReconnectionPolicy(policy) };
+
+    if(strategy === "fixed") {
+        return interval;
+    }
+
+    const delay = Math.min(interval * Math.pow(factor, attempt - 1), maxInterval);
+
+    return strategy === "jittered" ? Math.round(random() * delay) : delay;
+}
\ No newline at end of file
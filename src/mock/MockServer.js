@@ -0,0 +1,774 @@
+import http from "http";
+import url from "url";
+import { EventEmitter } from "events";
+import qs from "qs";
+import WebSocket from "ws";
+import Promise from "bluebird";
+import { omit, pick, sortBy, last, chunk, without, isEqual, values } from "lodash";
+import APIClient from "../APIClient";
+import TeamworkChat from "../TeamworkChat";
+import logging from "../lib/logging";
+
+const logger = logging.add("tw-chat:mock");
+
+/**
+ * The default page sizes for list endpoints.
+ *
+ * @type {Number}
+ */
+const DEFAULT_PAGE_LIMIT = 50;
+
+/**
+ * A local Teamwork Chat server for integration testing bots without the network. It serves
+ * the REST endpoints APIClient uses and the socket (on the same port) from an in-memory data
+ * model so you can send and receive messages, create rooms and drop connections.
+ *
+ *      const server = new MockServer();
+ *      await server.listen();
+ *
+ *      const bot = server.addPerson({ handle: "bot" });
+ *      const peter = server.addPerson({ handle: "peter" });
+ *      const room = server.addRoom({ title: "Standup", people: [ bot.id, peter.id ] });
+ *
+ *      const chat = await server.login("bot");
+ *      server.addMessage(room.id, peter.id, "@bot hello"); // Broadcast to the bot's socket
+ *
+ *      await server.close();
+ *
+ * Every person's password is "test" unless given and their auth token is their `auth` property.
+ *
+ * Events:
+ *
+ *      "request": ({String} method, {String} path, {Object} person)
+ *
+ *          Emitted for each REST request. `person` is the authenticated person, if any.
+ *
+ *      "frame": ({Object} frame, {Object} person)
+ *
+ *          Emitted for each frame received from a client socket.
+ *
+ *      "message": ({Object} message)
+ *
+ *          Emitted when a message is created (via the socket, REST or `addMessage`).
+ *
+ */
+export default class MockServer extends EventEmitter {
+    /** @type {Object} The company every person belongs to. */
+    company = { id: 1, name: "Teamwork" };
+
+    /** @type {Object} The people keyed by ID. */
+    people = {};
+
+    /** @type {Object} The rooms keyed by ID. */
+    rooms = {};
+
+    /** @type {Object[]} The messages, in the order they were created. */
+    messages = [];
+
+    /** @type {Object} The uploaded files (Buffers) keyed by file key. */
+    files = {};
+
+    /** @type {Object[]} The authenticated sockets: `{ socket, person }`. */
+    clients = [];
+
+    constructor() {
+        super();
+
+        this.ids = { person: 0, room: 0, message: 0 };
+        this.server = http.createServer(this.onRequest.bind(this));
+        this.sockets = new WebSocket.Server({ server: this.server });
+        this.sockets.on("connection", this.onConnection.bind(this));
+    }
+
+    /**
+     * The installation URL to pass to APIClient/TeamworkChat.
+     *
+     * @type {String}
+     */
+    get installation() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * The socket server URL to pass to APIClient/TeamworkChat.
+     *
+     * @type {String}
+     */
+    get socketServer() {
+        return `ws://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Start the server.
+     *
+     * @param  {Number} port The port to listen on (default: 0, a random port).
+     * @return {Promise<MockServer>}
+     */
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, "127.0.0.1", () => resolve(this));
+        });
+    }
+
+    /**
+     * Stop the server and disconnect every client.
+     *
+     * @return {Promise}
+     */
+    close() {
+        this.dropConnections();
+        this.sockets.close();
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Terminate every client socket (e.g. to test reconnection). Clients can reconnect straight away.
+     */
+    dropConnections() {
+        this.clients.forEach(({ socket }) => socket.terminate());
+        this.clients = [];
+    }
+
+    /**
+     * Log in as a person and connect.
+     *
+     * @param  {String|Number} person   The person's handle or ID.
+     * @param  {Object}        options  Optional, the TeamworkChat options. See TeamworkChat#constructor.
+     * @return {Promise<TeamworkChat>}  Resolves to the connected TeamworkChat instance.
+     */
+    login(person, options) {
+        return Promise.try(() => {
+            const { auth } = this.getPerson(person);
+
+            return TeamworkChat.fromAuth(this.installation, auth, this.socketServer, options);
+        });
+    }
+
+    /**
+     * Add a person.
+     *
+     * @param  {Object} details The person details. `handle` is required.
+     * @return {Object}         The person.
+     */
+    addPerson(details) {
+        if(!details.handle) {
+            throw new Error("Please supply a handle for the person.");
+        }
+
+        const id = details.id || ++this.ids.person;
+        this.ids.person = Math.max(this.ids.person, id);
+
+        return this.people[id] = {
+            id,
+            firstName: details.handle,
+            lastName: "",
+            title: "",
+            email: `${details.handle}@example.com`,
+            status: "online",
+            deleted: false,
+            password: "test",
+            auth: `mock-auth-${id}`,
+            lastActivityAt: now(),
+            updatedAt: now(),
+            ...details
+        };
+    }
+
+    /**
+     * Get a person.
+     *
+     * @param  {String|Number} person The person's handle or ID.
+     * @return {Object}               The person.
+     */
+    getPerson(person) {
+        const found = typeof person === "number" ? this.people[person] : values(this.people).find(({ handle }) => handle === person);
+
+        if(!found) {
+            throw new Error(`No person "${person}" on the mock server.`);
+        }
+
+        return found;
+    }
+
+    /**
+     * Add a room.
+     *
+     * @param  {Object}     details         The room details.
+     * @param  {Number[]}   details.people  The IDs of the people in the room.
+     * @return {Object}                     The room.
+     */
+    addRoom({ people = [], ...details } = {}) {
+        const id = ++this.ids.room;
+
+        return this.rooms[id] = {
+            id,
+            title: null,
+            type: people.length === 2 && !details.title ? "pair" : "private",
+            status: "active",
+            creatorId: people[0] || null,
+            createdAt: now(),
+            updatedAt: now(),
+            lastActivityAt: now(),
+            ...details,
+            people: people.slice(),
+            lastViewedAt: {}
+        };
+    }
+
+    /**
+     * Create a message and broadcast it to the room's connected people.
+     *
+     * @param  {Number} roomId  The room ID.
+     * @param  {Number} userId  The author's ID.
+     * @param  {String} body    The message body.
+     * @param  {Object} options `file` to attach and `nonce` to respond to the author's socket request with.
+     * @return {Object}         The message.
+     */
+    addMessage(roomId, userId, body, { file = {}, nonce } = {}) {
+        const room = this.getRoom(roomId);
+        const createdAt = now();
+
+        const message = {
+            id: ++this.ids.message,
+            roomId: room.id,
+            userId,
+            body,
+            status: "active",
+            file,
+            thirdPartyCards: [],
+            createdAt,
+            editedAt: null
+        };
+
+        this.messages.push(message);
+        room.lastActivityAt = createdAt;
+        room.lastViewedAt[userId] = createdAt;
+
+        this.emit("message", message);
+
+        room.people.forEach(id => {
+            this.broadcast([ id ], "room.message.created", message, id === userId ? nonce : null);
+        });
+
+        this.sendUnseenCounts(without(room.people, userId));
+
+        return message;
+    }
+
+    /**
+     * Send a frame to every connected socket of the given people.
+     *
+     * @param  {Number[]}   people      The people's IDs.
+     * @param  {String}     name        The frame name.
+     * @param  {Object}     contents    The frame contents.
+     * @param  {Number}     nonce       The nonce (when responding to a request).
+     */
+    broadcast(people, name, contents, nonce = null) {
+        const frame = JSON.stringify({ ...APIClient.createFrame(name, contents, false), nonce });
+
+        this.clients.filter(({ person }) => people.includes(person.id)).forEach(({ socket }) => {
+            if(socket.readyState === WebSocket.OPEN) {
+                socket.send(frame);
+            }
+        });
+    }
+
+    /**
+     * Get a room.
+     *
+     * @private
+     * @param  {Number} id  The room ID.
+     * @return {Object}     The room.
+     */
+    getRoom(id) {
+        const room = this.rooms[id];
+
+        if(!room) {
+            throw new MockHTTPError(404, `No room with ID ${id}.`);
+        }
+
+        return room;
+    }
+
+    /**
+     * Find the pair room between two people.
+     *
+     * @private
+     */
+    findPairRoom(a, b) {
+        return values(this.rooms).find(room => room.type === "pair" && isEqual(sortBy(room.people), sortBy([a, b])));
+    }
+
+    /**
+     * Get a person's unread message count in a room.
+     *
+     * @private
+     */
+    getUnreadCount(room, person) {
+        const viewedAt = room.lastViewedAt[person.id];
+
+        return this.messages.filter(message => {
+            return message.roomId === room.id && message.status === "active" && message.userId !== person.id &&
+                (!viewedAt || message.createdAt > viewedAt);
+        }).length;
+    }
+
+    /**
+     * Get a person's unseen totals (the `unseen.counts.updated` frame contents).
+     *
+     * @private
+     */
+    getUnseenCounts(person) {
+        const rooms = values(this.rooms).filter(room => room.people.includes(person.id));
+        const count = rooms => rooms.reduce((total, room) => total + this.getUnreadCount(room, person), 0);
+
+        return {
+            unreadCounts: { unread: count(rooms), importantUnread: 0 },
+            conversationUnreadCounts: { unread: count(rooms.filter(room => room.type !== "pair")), importantUnread: 0 }
+        };
+    }
+
+    /**
+     * Push the unseen totals to people, as the server does when they change.
+     *
+     * @private
+     * @param  {Number[]} people The people's IDs.
+     */
+    sendUnseenCounts(people) {
+        people.forEach(id => this.broadcast([ id ], "unseen.counts.updated", this.getUnseenCounts(this.people[id])));
+    }
+
+    /**
+     * Serialize a person as the API does for a viewer.
+     *
+     * @private
+     */
+    serializePerson(person, viewer) {
+        const room = viewer && person.id !== viewer.id && this.findPairRoom(person.id, viewer.id);
+
+        return {
+            ...omit(person, "password", "auth"),
+            roomId: room ? room.id : null,
+            isCurrentUserAllowedToChatDirectly: true,
+            company: this.company
+        };
+    }
+
+    /**
+     * Serialize a room as the API does for a viewer.
+     *
+     * @private
+     */
+    serializeRoom(room, viewer, { includeUsers = true } = {}) {
+        const latestMessage = last(this.messages.filter(message => message.roomId === room.id));
+
+        return {
+            ...omit(room, "people", "lastViewedAt"),
+            lastViewedAt: room.lastViewedAt[viewer.id] || room.createdAt,
+            unreadCount: this.getUnreadCount(room, viewer),
+            importantUnreadCount: 0,
+            people: includeUsers ? room.people.map(id => this.serializePerson(this.people[id], viewer)) : undefined,
+            latestMessage: latestMessage || null
+        };
+    }
+
+    /**
+     * Event Handler: a REST request.
+     *
+     * @private
+     */
+    onRequest(req, res) {
+        const chunks = [];
+
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => {
+            const { pathname, query } = url.parse(req.url);
+            const data = Buffer.concat(chunks);
+            const isJSON = (req.headers["content-type"] || "").includes("application/json");
+
+            const request = {
+                method: req.method,
+                path: pathname,
+                query: qs.parse(query),
+                body: isJSON && data.length ? JSON.parse(data.toString()) : data,
+                person: this.authenticate(req.headers.cookie)
+            };
+
+            this.emit("request", request.method, request.path, request.person);
+
+            Promise.try(() => this.route(request, res)).then(response => {
+                if(response !== undefined) {
+                    res.setHeader("Content-Type", "application/json");
+                    res.end(JSON.stringify(response));
+                }
+            }).catch(error => {
+                const statusCode = error instanceof MockHTTPError ? error.statusCode : 500;
+
+                logger.debug(`${request.method} ${request.path}: ${statusCode} ${error.message}`);
+                res.statusCode = statusCode;
+                res.setHeader("Content-Type", "application/json");
+                res.end(JSON.stringify({ STATUS: "ERROR", MESSAGE: error.message }));
+            });
+        });
+    }
+
+    /**
+     * Get the person for a `Cookie` header.
+     *
+     * @private
+     */
+    authenticate(cookie = "") {
+        const match = cookie.match(/tw-auth=([^;]+)/);
+
+        return match ? values(this.people).find(person => person.auth === match[1]) : undefined;
+    }
+
+    /**
+     * Handle a REST request.
+     *
+     * @private
+     * @return {Object} The JSON response (or undefined if the response was handled).
+     */
+    route({ method, path, query, body, person }, res) {
+        const route = (routeMethod, pattern) => method === routeMethod && path.match(pattern);
+        let match;
+
+        if(route("POST", /^\/launchpad\/v1\/login\.json$/)) {
+            const user = values(this.people).find(({ email, handle }) => [email, handle].includes(body.username));
+
+            if(!user || user.password !== body.password) {
+                throw new MockHTTPError(401, "Invalid login.");
+            }
+
+            res.setHeader("Set-Cookie", `tw-auth=${user.auth}; path=/`);
+            return { STATUS: "OK" };
+        }
+
+        if(!person) {
+            throw new MockHTTPError(401, "Unauthorized.");
+        }
+
+        if(route("GET", /^\/chat\/me\.json$/)) {
+            return {
+                account: {
+                    id: String(person.id),
+                    authkey: person.auth,
+                    url: `${this.installation}/`,
+                    installationId: "1",
+                    companyId: String(this.company.id),
+                    firstName: person.firstName,
+                    lastName: person.lastName,
+                    user: this.serializePerson(person)
+                }
+            };
+        }
+
+        if(route("DELETE", /^\/launchpad\/v1\/logout\.json$/)) {
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("PUT", /^\/people\/(?:(\d+)\/)?impersonate(\/revert)?\.json$/)) {
+            const [ , id, revert ] = match;
+            const target = revert ? person : this.getPerson(parseInt(id));
+
+            res.setHeader("Set-Cookie", `tw-auth=${target.auth}; path=/`);
+            return { STATUS: "OK" };
+        }
+
+        if(route("GET", /^\/chat\/v3\/people\.json$/)) {
+            const { filter = {}, page = {} } = query;
+
+            const people = values(this.people).filter(({ handle, firstName, lastName, updatedAt }) => {
+                return (!filter.searchTerm || [handle, firstName, lastName].some(value => (value || "").includes(filter.searchTerm))) &&
+                    (!filter.updatedAfter || updatedAt > filter.updatedAfter);
+            }).map(user => this.serializePerson(user, person));
+
+            return { people: paginate(people, page), meta: { page: pageMeta(people, page) } };
+        }
+
+        if(match = route("GET", /^\/chat\/people\/(\d+)\.json$/)) {
+            return { person: this.serializePerson(this.getPerson(parseInt(match[1])), person) };
+        }
+
+        if(match = route("PUT", /^\/chat\/people\/(\d+)\.json$/)) {
+            const user = this.getPerson(parseInt(match[1]));
+            const update = pick(body.person, "handle", "firstName", "lastName", "title", "status");
+
+            Object.assign(user, update, { updatedAt: now() });
+            Object.keys(update).forEach(key => {
+                this.broadcast(Object.keys(this.people).map(Number), "user.modified", { userId: user.id, key, value: update[key] });
+            });
+
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("GET", /^\/chat\/v2\/companies\/(\d+)\.json$/)) {
+            if(parseInt(match[1]) !== this.company.id) {
+                throw new MockHTTPError(404, `No company with ID ${match[1]}.`);
+            }
+
+            return { company: this.company };
+        }
+
+        if(route("GET", /^\/chat\/v2\/conversations\.json$/)) {
+            const { filter = {}, page = {} } = query;
+
+            const rooms = sortBy(values(this.rooms).filter(room => {
+                return room.people.includes(person.id) &&
+                    (!filter.activityAfter || room.lastActivityAt > filter.activityAfter) &&
+                    (!filter.searchTerm || (room.title || "").includes(filter.searchTerm));
+            }), "lastActivityAt").reverse().map(room => this.serializeRoom(room, person, {
+                includeUsers: query.includeUserData !== "false"
+            }));
+
+            return { conversations: paginate(rooms, page), meta: { page: pageMeta(rooms, page) } };
+        }
+
+        if(route("POST", /^\/chat\/v2\/rooms\.json$/)) {
+            const { handles, message } = body.room;
+            const people = [ person.id, ...handles.map(handle => this.getPerson(handle).id) ];
+
+            const room = values(this.rooms).find(room => isEqual(sortBy(room.people), sortBy(people))) || this.addRoom({ people });
+
+            this.addMessage(room.id, person.id, message.body);
+
+            return { STATUS: "OK", roomId: room.id };
+        }
+
+        if(match = route("GET", /^\/chat\/v2\/rooms\/(\d+)\.json$/)) {
+            return { room: this.serializeRoom(this.getRoom(parseInt(match[1])), person, {
+                includeUsers: query.includeUserData !== "false"
+            }) };
+        }
+
+        if(match = route("DELETE", /^\/chat\/rooms\/(\d+)\.json$/)) {
+            const room = this.getRoom(parseInt(match[1]));
+
+            delete this.rooms[room.id];
+            this.broadcast(room.people, "room.deleted", { id: room.id });
+
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("PUT", /^\/chat\/v2\/conversations\/(\d+)\.json$/)) {
+            const room = this.getRoom(parseInt(match[1]));
+
+            Object.assign(room, { title: body.conversation.title, updatedAt: now() });
+            this.broadcast(room.people, "room.updated", { id: room.id });
+
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("PUT", /^\/chat\/v2\/conversations\/(\d+)\/user-settings\.json$/)) {
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("GET", /^\/chat\/v2\/rooms\/(\d+)\/messages\.json$/)) {
+            const room = this.getRoom(parseInt(match[1]));
+
+            return pageMessages(this.messages.filter(message => message.roomId === room.id), query);
+        }
+
+        if(route("GET", /^\/chat\/v2\/messages\.json$/)) {
+            const messages = this.messages.filter(message => {
+                return this.rooms[message.roomId] && this.rooms[message.roomId].people.includes(person.id) &&
+                    (!query.createdAfter || message.createdAt > query.createdAfter);
+            });
+
+            return pageMessages(messages, query);
+        }
+
+        if(match = route("POST", /^\/chat\/rooms\/(\d+)\/messages\.json$/)) {
+            const message = this.addMessage(parseInt(match[1]), person.id, body.message.body);
+
+            return { STATUS: "OK", id: message.id };
+        }
+
+        if(match = route("PUT", /^\/chat\/rooms\/(\d+)\/messages\/(\d+)\.json$/)) {
+            const room = this.getRoom(parseInt(match[1]));
+            const message = this.findMessage(room, parseInt(match[2]));
+
+            Object.assign(message, { body: body.message.body, editedAt: now() });
+            this.broadcast(room.people, "room.message.updated", pick(message, "id", "roomId", "userId", "body", "editedAt"));
+
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("DELETE", /^\/chat\/rooms\/(\d+)\/messages\.json$/)) {
+            const room = this.getRoom(parseInt(match[1]));
+
+            body.ids.forEach(id => this.findMessage(room, id).status = "redacted");
+            this.broadcast(room.people, "room.messages.deleted", { roomId: room.id, ids: body.ids });
+
+            return { STATUS: "OK" };
+        }
+
+        if(match = route("PUT", /^\/chat\/rooms\/(\d+)\/messages\.json$/)) {
+            const room = this.getRoom(parseInt(match[1]));
+            const ids = body.messages.map(({ id }) => id);
+
+            ids.forEach(id => this.findMessage(room, id).status = "active");
+            this.broadcast(room.people, "room.messages.deleted-undone", { roomId: room.id, ids });
+
+            return { STATUS: "OK" };
+        }
+
+        if(route("POST", /^\/chat\/v2\/files\.json$/)) {
+            const key = `${Object.keys(this.files).length + 1}.${query.name}`;
+            this.files[key] = body;
+
+            return { file: { key } };
+        }
+
+        if(match = route("GET", /^\/chat\/v2\/files\/(.+)$/)) {
+            const file = this.files[decodeURIComponent(match[1])];
+
+            if(!file) {
+                throw new MockHTTPError(404, "File not found.");
+            }
+
+            res.end(file);
+            return;
+        }
+
+        throw new MockHTTPError(404, `No mock route for ${method} ${path}.`);
+    }
+
+    /**
+     * Find a message in a room.
+     *
+     * @private
+     */
+    findMessage(room, id) {
+        const message = this.messages.find(message => message.roomId === room.id && message.id === id);
+
+        if(!message) {
+            throw new MockHTTPError(404, `No message with ID ${id} in room ${room.id}.`);
+        }
+
+        return message;
+    }
+
+    /**
+     * Event Handler: a new socket connection. The client has to complete the authentication
+     * flow before it's sent any frames.
+     *
+     * @private
+     */
+    onConnection(socket) {
+        const person = this.authenticate(socket.upgradeReq.headers.cookie);
+        const client = { socket, person };
+        const send = (name, contents, nonce = null) => socket.send(JSON.stringify({ ...APIClient.createFrame(name, contents, false), nonce }));
+
+        socket.on("message", message => {
+            const frame = JSON.parse(message);
+
+            this.emit("frame", frame, person);
+
+            if(frame.name === "authentication.response") {
+                if(person && frame.contents.authKey === person.auth) {
+                    this.clients.push(client);
+                    send("authentication.confirmation", {});
+                } else {
+                    send("authentication.error", "Invalid authentication.");
+                }
+
+                return;
+            }
+
+            if(!this.clients.includes(client)) {
+                return;
+            }
+
+            try {
+                this.onFrame(frame, person, send);
+            } catch(error) {
+                logger.debug(`unable to handle frame "${frame.name}": ${error.message}`);
+            }
+        });
+
+        socket.on("close", () => {
+            this.clients = without(this.clients, client);
+        });
+
+        send("authentication.request", {});
+    }
+
+    /**
+     * Handle an authenticated client's frame.
+     *
+     * @private
+     */
+    onFrame({ name, contents, nonce }, person, send) {
+        switch(name) {
+            case "ping":
+                send("pong", {}, nonce);
+            break;
+
+            case "room.message.created":
+                this.addMessage(contents.roomId, person.id, contents.body, { file: contents.file, nonce });
+            break;
+
+            case "room.typing":
+                this.broadcast(this.getRoom(contents.roomId).people, "room.typing", { ...contents, userId: person.id });
+            break;
+
+            case "room.user.active":
+                const room = this.getRoom(contents.roomId);
+                room.lastViewedAt[person.id] = contents.date;
+
+                this.broadcast(room.people, "room.user.active", { roomId: room.id, date: contents.date, userId: person.id });
+                this.sendUnseenCounts([ person.id ]);
+            break;
+
+            case "user.modified.status":
+                person.status = contents.status;
+                this.broadcast(Object.keys(this.people).map(Number), "user.modified", { userId: person.id, key: "status", value: contents.status });
+            break;
+
+            case "unseen.counts.request":
+                send("unseen.counts.updated", this.getUnseenCounts(person));
+            break;
+        }
+    }
+}
+
+/**
+ * A REST error response.
+ */
+export class MockHTTPError extends Error {
+    constructor(statusCode, message) {
+        super();
+        this.name = this.constructor.name;
+        this.message = message;
+        this.statusCode = statusCode;
+    }
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function paginate(items, { offset = 0, limit = DEFAULT_PAGE_LIMIT }) {
+    return items.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+}
+
+function pageMeta(items, { offset = 0, limit = DEFAULT_PAGE_LIMIT }) {
+    return { offset: parseInt(offset), limit: parseInt(limit), total: items.length };
+}
+
+/**
+ * Page messages like the messages endpoints: page 1 is the newest messages and each page
+ * is in chronological order.
+ */
+function pageMessages(messages, { page = 1, pageSize = DEFAULT_PAGE_LIMIT }) {
+    const pages = chunk(messages.slice().reverse(), parseInt(pageSize));
+    const current = pages[parseInt(page) - 1] || [];
+
+    return {
+        messages: current.slice().reverse(),
+        pageInfo: { page: parseInt(page), pageSize: parseInt(pageSize), pages: pages.length, total: messages.length }
+    };
+}
\ No newline at end of file
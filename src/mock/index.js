@@ -0,0 +1 @@
+export MockServer, { MockHTTPError } from "./MockServer";
\ No newline at end of file
@@ -0,0 +1,57 @@
+import fs from "fs";
+import Promise from "bluebird";
+import MemoryStore from "./MemoryStore";
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * A store that holds everything in memory and serializes it to a single JSON file
+ * when flushed.
+ */
+export default class JSONFileStore extends MemoryStore {
+    /**
+     * Create a new JSONFileStore.
+     *
+     * @param  {String} path The path to the JSON file. It's created on flush if it doesn't exist.
+     * @return {JSONFileStore}
+     */
+    constructor(path) {
+        super();
+
+        this.path = path;
+    }
+
+    load() {
+        if(this.loaded) {
+            return Promise.resolve();
+        }
+
+        return readFile(this.path, { encoding: "utf8" }).then(contents => {
+            this.data = { ...this.data, ...JSON.parse(contents) };
+        }).catch(err => {
+            // It's fine if the store hasn't been created yet.
+            if(err.code !== "ENOENT") {
+                throw err;
+            }
+        }).then(() => {
+            this.loaded = true;
+        });
+    }
+
+    flush() {
+        if(!this.dirty) {
+            return Promise.resolve();
+        }
+
+        this.dirty = false;
+
+        return writeFile(this.path, JSON.stringify(this.data, null, 2));
+    }
+
+    write(writer) {
+        this.dirty = true;
+
+        return super.write(writer);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+import Promise from "bluebird";
+import { values, sortBy, takeRight } from "lodash";
+import Store from "./Store";
+
+/**
+ * A store that holds everything in memory. Useful for tests and as the base for
+ * stores that serialize the whole store at once (see JSONFileStore).
+ */
+export default class MemoryStore extends Store {
+    /** @type {Object} The stored data, each collection keyed by ID. */
+    data = {
+        people: {},
+        rooms: {},
+        messages: {},
+        meta: {}
+    };
+
+    getPeople() {
+        return Promise.resolve(values(this.data.people));
+    }
+
+    savePerson(person) {
+        return this.write(() => this.data.people[person.id] = person);
+    }
+
+    deletePerson(id) {
+        return this.write(() => delete this.data.people[id]);
+    }
+
+    getRooms() {
+        return Promise.resolve(values(this.data.rooms));
+    }
+
+    saveRoom(room) {
+        return this.write(() => this.data.rooms[room.id] = room);
+    }
+
+    deleteRoom(id) {
+        return this.write(() => {
+            delete this.data.rooms[id];
+
+            values(this.data.messages).forEach(message => {
+                if(message.roomId === id) {
+                    delete this.data.messages[message.id];
+                }
+            });
+        });
+    }
+
+    getMessages(room, { limit } = {}) {
+        const messages = sortBy(values(this.data.messages).filter(message => message.roomId === room), ["createdAt", "id"]);
+
+        return Promise.resolve(limit ? takeRight(messages, limit) : messages);
+    }
+
+    saveMessage(message) {
+        return this.write(() => this.data.messages[message.id] = message);
+    }
+
+    get(key) {
+        return Promise.resolve(this.data.meta[key]);
+    }
+
+    set(key, value) {
+        return this.write(() => this.data.meta[key] = value);
+    }
+
+    /**
+     * Apply a write to the store and schedule a flush.
+     *
+     * @protected
+     * @param  {Function} writer The function that writes to `data`.
+     * @return {Promise}
+     */
+    write(writer) {
+        return Promise.try(writer).then(() => {
+            this.scheduleFlush();
+            return null;
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+import fs from "fs";
+import Promise from "bluebird";
+import SQL from "sql.js";
+import Store from "./Store";
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * The schema of the store's database. Each record is stored as JSON in the `data`
+ * column alongside the columns we need to query by.
+ *
+ * @type {String}
+ */
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS people (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS rooms (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS messages (id INTEGER PRIMARY KEY, roomId INTEGER NOT NULL, createdAt TEXT, data TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS messages_room ON messages (roomId, createdAt);
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+`;
+
+/**
+ * A store backed by an SQLite database file. The database is held in memory (we use
+ * sql.js, a pure Javascript SQLite, so there are no native dependencies) and is written
+ * to the file when flushed.
+ */
+export default class SQLiteStore extends Store {
+    /**
+     * Create a new SQLiteStore.
+     *
+     * @param  {String} path The path to the SQLite database file. It's created on flush if it doesn't exist.
+     * @return {SQLiteStore}
+     */
+    constructor(path) {
+        super();
+
+        this.path = path;
+    }
+
+    load() {
+        if(this.db) {
+            return Promise.resolve();
+        }
+
+        return readFile(this.path).catch(err => {
+            if(err.code !== "ENOENT") {
+                throw err;
+            }
+        }).then(contents => {
+            this.db = new SQL.Database(contents);
+            this.db.run(SCHEMA);
+        });
+    }
+
+    flush() {
+        if(!this.dirty) {
+            return Promise.resolve();
+        }
+
+        this.dirty = false;
+
+        return writeFile(this.path, new Buffer(this.db.export()));
+    }
+
+    close() {
+        return super.close().then(() => {
+            if(this.db) {
+                this.db.close();
+                delete this.db;
+            }
+        });
+    }
+
+    getPeople() {
+        return this.select("SELECT data FROM people");
+    }
+
+    savePerson(person) {
+        return this.run("INSERT OR REPLACE INTO people (id, data) VALUES (?, ?)", [person.id, JSON.stringify(person)]);
+    }
+
+    deletePerson(id) {
+        return this.run("DELETE FROM people WHERE id = ?", [id]);
+    }
+
+    getRooms() {
+        return this.select("SELECT data FROM rooms");
+    }
+
+    saveRoom(room) {
+        return this.run("INSERT OR REPLACE INTO rooms (id, data) VALUES (?, ?)", [room.id, JSON.stringify(room)]);
+    }
+
+    deleteRoom(id) {
+        return this.run("DELETE FROM rooms WHERE id = ?", [id]).then(() => {
+            return this.run("DELETE FROM messages WHERE roomId = ?", [id]);
+        });
+    }
+
+    getMessages(room, { limit = -1 } = {}) {
+        // Select the latest `limit` and then reverse them to get oldest first.
+        return this.select(
+            "SELECT data FROM messages WHERE roomId = ? ORDER BY createdAt DESC, id DESC LIMIT ?",
+            [room, limit]
+        ).then(messages => messages.reverse());
+    }
+
+    saveMessage(message) {
+        return this.run(
+            "INSERT OR REPLACE INTO messages (id, roomId, createdAt, data) VALUES (?, ?, ?, ?)",
+            [message.id, message.roomId, message.createdAt, JSON.stringify(message)]
+        );
+    }
+
+    get(key) {
+        return this.select("SELECT value AS data FROM meta WHERE key = ?", [key]).then(([ value ]) => value);
+    }
+
+    set(key, value) {
+        return this.run("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)", [key, JSON.stringify(value)]);
+    }
+
+    /**
+     * Run a write statement and schedule a flush.
+     *
+     * @private
+     * @param  {String} sql     The SQL statement.
+     * @param  {Array}  params  The statement parameters.
+     * @return {Promise}
+     */
+    run(sql, params) {
+        return Promise.try(() => {
+            this.getDatabase().run(sql, params);
+            this.dirty = true;
+            this.scheduleFlush();
+
+            return null;
+        });
+    }
+
+    /**
+     * Select the JSON `data` column from rows and parse it.
+     *
+     * @private
+     * @param  {String} sql     The SQL query.
+     * @param  {Array}  params  The query parameters.
+     * @return {Promise<Object[]>}
+     */
+    select(sql, params = []) {
+        return Promise.try(() => {
+            const statement = this.getDatabase().prepare(sql, params);
+            const rows = [];
+
+            while(statement.step()) {
+                rows.push(JSON.parse(statement.getAsObject().data));
+            }
+
+            statement.free();
+
+            return rows;
+        });
+    }
+
+    /**
+     * @private
+     * @return {SQL.Database}
+     */
+    getDatabase() {
+        if(!this.db) {
+            throw new Error("SQLiteStore has not been loaded. Please call `load` first.");
+        }
+
+        return this.db;
+    }
+}
\ No newline at end of file
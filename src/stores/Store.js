@@ -0,0 +1,179 @@
+import Promise from "bluebird";
+import logging from "../lib/logging";
+
+const logger = logging.add("tw-chat:store");
+
+/**
+ * The Store interface. A store persists the serialized (see the models' `toJSON`)
+ * people, rooms and messages that TeamworkChat holds in memory so they can be
+ * restored across restarts. It also holds arbitrary metadata by key (e.g. the CLI
+ * saves the session's auth details).
+ *
+ * All methods return promises so implementations are free to be asynchronous. Stores
+ * that write to disk should buffer the writes and persist them on `flush` (and `close`).
+ */
+export default class Store {
+    /**
+     * The time in ms to wait after a write before flushing the store (for stores that flush).
+     *
+     * @type {Number}
+     */
+    flushDelay = 1000;
+
+    constructor() {
+        if(this.constructor.name === "Store") {
+            throw new Error("Store class is to be extended and not instantiated directly.");
+        }
+    }
+
+    /**
+     * Load the store (e.g. read from disk). Calling this more than once has no effect.
+     *
+     * @return {Promise}
+     */
+    load() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Persist any buffered writes.
+     *
+     * @return {Promise}
+     */
+    flush() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Flush the store and stop any scheduled flushes.
+     *
+     * @return {Promise}
+     */
+    close() {
+        clearTimeout(this.flushTimeout);
+        delete this.flushTimeout;
+
+        return this.flush();
+    }
+
+    /**
+     * Schedule a flush `flushDelay` ms from now (if one isn't already scheduled). The timer
+     * doesn't hold the process open so remember to `close` the store before exiting.
+     */
+    scheduleFlush() {
+        if(this.flushTimeout) {
+            return;
+        }
+
+        this.flushTimeout = setTimeout(() => {
+            delete this.flushTimeout;
+            this.flush().catch(err => this.onFlushError(err));
+        }, this.flushDelay);
+
+        if(this.flushTimeout.unref) {
+            this.flushTimeout.unref();
+        }
+    }
+
+    /**
+     * Handle an error from a scheduled flush. There's nobody waiting on a scheduled flush so
+     * the error is logged. Override to handle differently.
+     *
+     * @param  {Error} error
+     */
+    onFlushError(error) {
+        logger.error(`unable to flush ${this.constructor.name}: ${error.message}`, { error });
+    }
+
+    /**
+     * @return {Promise<Object[]>} Resolves to all the stored people.
+     */
+    getPeople() {
+        return this.notImplemented("getPeople");
+    }
+
+    /**
+     * @param  {Object} person The serialized person.
+     * @return {Promise}
+     */
+    savePerson(person) {
+        return this.notImplemented("savePerson");
+    }
+
+    /**
+     * @param  {Number} id The person's ID.
+     * @return {Promise}
+     */
+    deletePerson(id) {
+        return this.notImplemented("deletePerson");
+    }
+
+    /**
+     * @return {Promise<Object[]>} Resolves to all the stored rooms.
+     */
+    getRooms() {
+        return this.notImplemented("getRooms");
+    }
+
+    /**
+     * @param  {Object} room The serialized room.
+     * @return {Promise}
+     */
+    saveRoom(room) {
+        return this.notImplemented("saveRoom");
+    }
+
+    /**
+     * Delete a room and it's messages.
+     *
+     * @param  {Number} id The room ID.
+     * @return {Promise}
+     */
+    deleteRoom(id) {
+        return this.notImplemented("deleteRoom");
+    }
+
+    /**
+     * Get the stored messages for a room, oldest first.
+     *
+     * @param  {Number} room            The room ID.
+     * @param  {Object} options
+     * @param  {Number} options.limit   Only return the latest `limit` messages.
+     * @return {Promise<Object[]>}      Resolves to the room's messages.
+     */
+    getMessages(room, options) {
+        return this.notImplemented("getMessages");
+    }
+
+    /**
+     * @param  {Object} message The serialized message.
+     * @return {Promise}
+     */
+    saveMessage(message) {
+        return this.notImplemented("saveMessage");
+    }
+
+    /**
+     * @param  {String} key The metadata key.
+     * @return {Promise<Any>} Resolves to the value, if any.
+     */
+    get(key) {
+        return this.notImplemented("get");
+    }
+
+    /**
+     * @param  {String} key   The metadata key.
+     * @param  {Any}    value The value (must be serializable to JSON).
+     * @return {Promise}
+     */
+    set(key, value) {
+        return this.notImplemented("set");
+    }
+
+    /**
+     * @private
+     */
+    notImplemented(method) {
+        return Promise.reject(new Error(`${this.constructor.name} has not implemented \`${method}\`.`));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,4 @@
+export Store from "./Store";
+export MemoryStore from "./MemoryStore";
+export JSONFileStore from "./JSONFileStore";
+export SQLiteStore from "./SQLiteStore";
\ No newline at end of file
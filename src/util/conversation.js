@@ -0,0 +1,221 @@
+import Promise, { CancellationError } from "bluebird";
+import { Prompt, KeywordError } from "./prompt";
+
+export const DEFAULT_CANCEL_KEYWORDS = ["cancel"];
+export const DEFAULT_BACK_KEYWORDS = ["back"];
+
+/**
+ * A dialog is a reusable series of prompts (a "form") that is run as a Conversation with
+ * a person. Each person has their own conversation so several people can fill in the same
+ * dialog in a room at once.
+ *
+ *      const booking = new Dialog()
+ *          .ask("name", "What's the name for the booking?")
+ *          .ask("guests", { message: "How many guests?", validate: "int" })
+ *          .ask("confirm", answers => `Book for ${answers.name} (${answers.guests})? yes/no`, {
+ *              // Start over if they say no
+ *              next: answer => answer === "yes" ? null : "name"
+ *          });
+ *
+ *      room.on("message:mention", message => {
+ *          booking.start(room, message.author).then(answers => ...);
+ *      });
+ *
+ * The person can reply with "back" to return to the previous question or "cancel" to end the
+ * conversation (the conversation then rejects with a CancellationError).
+ */
+export class Dialog {
+    /** @type {Object[]} The dialog steps, in order. */
+    steps = [];
+
+    /** @type {Map} The conversations in progress, keyed by target and person. */
+    conversations = new Map();
+
+    /**
+     * Create a new dialog.
+     *
+     * @param  {Object}     options                 Dialog options. Any other options are passed to each Prompt.
+     * @param  {String[]}   options.cancelKeywords  The replies that cancel the conversation (default: ["cancel"]).
+     * @param  {String[]}   options.backKeywords    The replies that return to the previous step (default: ["back"]).
+     */
+    constructor(options = {}) {
+        this.options = {
+            cancelKeywords: DEFAULT_CANCEL_KEYWORDS,
+            backKeywords: DEFAULT_BACK_KEYWORDS,
+            ...options
+        };
+    }
+
+    /**
+     * Add a question to the dialog.
+     *
+     * @param  {String}             name            The answer's name.
+     * @param  {String|Function}    message         The question or a function that's passed the answers so
+     *                                              far and returns the question.
+     * @param  {Object}             options         Prompt options (e.g. validate, maxAttempts, timeout).
+     * @param  {Function}           options.when    Only ask if `when(answers)` is truthy.
+     * @param  {Function}           options.next    Branch on the answer: `next(answer, answers)` returns the
+     *                                              name of the step to go to next, `null` to end the
+     *                                              conversation or `undefined` to continue in order.
+     * @return {Dialog}                             The dialog, for chaining.
+     */
+    ask(name, message, options = {}) {
+        if(typeof message === "object") {
+            options = message;
+            message = options.message;
+        }
+
+        if(this.steps.some(step => step.name === name)) {
+            throw new Error(`Dialog already has a step named "${name}".`);
+        }
+
+        this.steps.push({ ...options, name, message });
+
+        return this;
+    }
+
+    /**
+     * Start a conversation with a person. If the person is already in a conversation for this dialog
+     * with the target, the existing conversation is returned.
+     *
+     * @param  {Room|Person}    target  Where to hold the conversation (a room or the person themselves).
+     * @param  {Person}         person  The person to converse with.
+     * @return {Promise<Object>}        Resolves to the answers, keyed by step name.
+     */
+    start(target, person) {
+        const key = getConversationKey(target, person);
+
+        if(this.conversations.has(key)) {
+            return this.conversations.get(key).promise;
+        }
+
+        const conversation = new Conversation(this, target, person);
+        this.conversations.set(key, conversation);
+
+        return conversation.run().finally(() => {
+            this.conversations.delete(key);
+        });
+    }
+
+    /**
+     * Get the conversation in progress with a person.
+     *
+     * @param  {Room|Person}    target  The conversation target.
+     * @param  {Person}         person  The person.
+     * @return {Conversation}           The conversation, if any.
+     */
+    getConversation(target, person) {
+        return this.conversations.get(getConversationKey(target, person));
+    }
+}
+
+/**
+ * The state of a Dialog being filled in by a person.
+ */
+export class Conversation {
+    /** @type {Object} The answers so far, keyed by step name. */
+    answers = {};
+
+    /** @type {Number[]} The answered step indexes, used to go "back". */
+    history = [];
+
+    /** @type {Prompt} The current prompt. */
+    prompt = null;
+
+    constructor(dialog, target, person) {
+        this.dialog = dialog;
+        this.target = target;
+        this.person = person;
+    }
+
+    /**
+     * Run the conversation.
+     *
+     * @return {Promise<Object>} Resolves to the answers.
+     */
+    run() {
+        return this.promise = this.runStep(0).return(this.answers);
+    }
+
+    /**
+     * Cancel the conversation.
+     *
+     * @param  {String} message The cancellation reason.
+     */
+    cancel(message) {
+        if(this.prompt && this.prompt.isPending()) {
+            this.prompt.cancel(message);
+        }
+    }
+
+    /**
+     * Ask the question for a step and move on to the next step.
+     *
+     * @private
+     * @param  {Number} index   The step index.
+     * @return {Promise}
+     */
+    runStep(index) {
+        const { steps } = this.dialog;
+        const { cancelKeywords, backKeywords, ...promptOptions } = this.dialog.options;
+        const step = steps[index];
+
+        if(!step) {
+            return Promise.resolve();
+        }
+
+        if(step.when && !step.when(this.answers)) {
+            return this.runStep(index + 1);
+        }
+
+        const { name, message, when, next, ...stepOptions } = step;
+
+        this.prompt = new Prompt(this.target, {
+            validate: reply => reply.content.trim(),
+            ...promptOptions,
+            ...stepOptions,
+            message: typeof message === "function" ? message(this.answers) : message,
+            from: this.person,
+            keywords: [ ...cancelKeywords, ...backKeywords ]
+        });
+
+        return this.prompt.run().then(answer => {
+            this.answers[name] = answer;
+            this.history.push(index);
+
+            const nextStep = next ? next(answer, this.answers) : undefined;
+
+            if(nextStep === null) {
+                return;
+            }
+
+            if(nextStep !== undefined) {
+                const nextIndex = steps.findIndex(step => step.name === nextStep);
+
+                if(nextIndex === -1) {
+                    throw new Error(`Dialog has no step named "${nextStep}".`);
+                }
+
+                return this.runStep(nextIndex);
+            }
+
+            return this.runStep(index + 1);
+        }).catch(KeywordError, error => {
+            if(cancelKeywords.includes(error.keyword)) {
+                return this.prompt.say("Cancelled.").then(() => {
+                    throw new CancellationError("Conversation cancelled.");
+                });
+            }
+
+            // Go back to the previous question (or ask the first question again)
+            const previous = this.history.length ? this.history.pop() : index;
+            delete this.answers[steps[previous].name];
+
+            return this.runStep(previous);
+        });
+    }
+}
+
+function getConversationKey(target, person) {
+    return `${target.constructor.name}:${target.id}:${person.id}`;
+}
\ No newline at end of file
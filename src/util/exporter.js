@@ -0,0 +1,244 @@
+import moment from "moment";
+import { escape } from "lodash";
+
+export const EXPORT_FORMATS = ["jsonl", "md", "html"];
+
+const TIMESTAMP_FORMAT = "YYYY-MM-DD HH:mm:ss";
+
+/**
+ * Export a room's message history to a transcript. Messages are fetched with Room#getMessagesBetween
+ * so the whole history (or the history between `start` and `end`) is exported, not just what's in memory.
+ *
+ * @param  {Room}               room            The room to export.
+ * @param  {Object}             options         Export options.
+ * @param  {String}             options.format  One of EXPORT_FORMATS (default: "jsonl").
+ * @param  {Moment|Date|String} options.start   Only export messages created after this time.
+ * @param  {Moment|Date|String} options.end     Only export messages created before this time.
+ * @return {Promise<String>}                    Resolves to the transcript.
+ */
+export function exportRoom(room, { format = "jsonl", start, end } = {}) {
+    return room.getMessagesBetween(start, end).then(messages => {
+        return exportMessages(room, messages, format);
+    });
+}
+
+/**
+ * Format messages from a room as a transcript.
+ *
+ * @param  {Room}       room        The room the messages belong to.
+ * @param  {Message[]}  messages    The messages, oldest first.
+ * @param  {String}     format      One of EXPORT_FORMATS.
+ * @return {String}                 The transcript.
+ */
+export function exportMessages(room, messages, format) {
+    switch(format) {
+        case "jsonl":
+            return messages.map(message => JSON.stringify(serializeMessage(message))).join("\n") + "\n";
+
+        case "md":
+            return toMarkdown(room, messages);
+
+        case "html":
+            return toHTML(room, messages);
+
+        default:
+            throw new Error(`Unknown export format "${format}". Expected one of: ${EXPORT_FORMATS.join(", ")}.`);
+    }
+}
+
+/**
+ * Serialize a message for a JSONL export. This is Message#toJSON with the author's
+ * details and the message's revisions attached.
+ *
+ * @param  {Message} message The message.
+ * @return {Object}
+ */
+export function serializeMessage(message) {
+    return {
+        ...message.toJSON(),
+        author: getAuthor(message),
+        revisions: message.revisions.map(revision => ({
+            body: revision.content,
+            editedAt: revision.editedAt || revision.createdAt
+        }))
+    };
+}
+
+function toMarkdown(room, messages) {
+    const lines = [
+        `# ${getTitle(room)}`,
+        "",
+        `${messages.length} messages exported ${moment().format(TIMESTAMP_FORMAT)}.`
+    ];
+
+    messages.forEach(message => {
+        const author = getAuthor(message);
+
+        lines.push("", `**${formatAuthor(author)}** _${formatTimestamp(message.createdAt)}_`, "");
+
+        if(message.status === "redacted") {
+            lines.push("_This message was deleted._");
+            return;
+        }
+
+        if(message.content) {
+            lines.push(message.content);
+        }
+
+        if(message.hasFile) {
+            lines.push(`> File: \`${message.file.name}\` (${message.file.contentType}, key: \`${message.file.key}\`)`);
+        }
+
+        if(message.editedAt) {
+            lines.push("", `_Edited ${formatTimestamp(message.editedAt)}._`);
+
+            message.revisions.forEach(revision => {
+                lines.push(`> Previously: ${revision.content}`);
+            });
+        }
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+function toHTML(room, messages) {
+    const title = escape(getTitle(room));
+
+    const items = messages.map(message => {
+        const author = getAuthor(message);
+        const parts = [
+            `<div class="meta"><span class="author">${escape(formatAuthor(author))}</span> ` +
+            `<time datetime="${message.createdAt.toISOString()}">${formatTimestamp(message.createdAt)}</time></div>`
+        ];
+
+        if(message.status === "redacted") {
+            parts.push(`<p class="deleted">This message was deleted.</p>`);
+        } else {
+            if(message.content) {
+                parts.push(`<p class="content">${renderTokens(message.tokens)}</p>`);
+            }
+
+            if(message.hasFile) {
+                parts.push(
+                    `<p class="file">File: <code>${escape(message.file.name)}</code> ` +
+                    `(${escape(message.file.contentType)}, key: <code>${escape(message.file.key)}</code>)</p>`
+                );
+            }
+
+            if(message.editedAt) {
+                parts.push(`<p class="edited">Edited ${formatTimestamp(message.editedAt)}.</p>`);
+                message.revisions.forEach(revision => {
+                    parts.push(`<blockquote class="revision">${escape(revision.content)}</blockquote>`);
+                });
+            }
+        }
+
+        return `<li class="message" id="message-${message.id}">\n${parts.join("\n")}\n</li>`;
+    });
+
+    return [
+        `<!DOCTYPE html>`,
+        `<html>`,
+        `<head>`,
+        `<meta charset="utf-8">`,
+        `<title>${title}</title>`,
+        `<style>`,
+        `body { font-family: sans-serif; max-width: 800px; margin: 2em auto; color: #333; }`,
+        `ul { list-style: none; padding: 0; }`,
+        `.message { margin-bottom: 1em; }`,
+        `.meta { font-size: 0.85em; color: #888; }`,
+        `.author { font-weight: bold; color: #333; }`,
+        `.content { white-space: pre-wrap; margin: 0.25em 0; }`,
+        `.mention { color: #1a73e8; }`,
+        `pre { background: #f5f5f5; padding: 0.5em; }`,
+        `.deleted, .edited { font-style: italic; color: #888; margin: 0.25em 0; }`,
+        `.revision { color: #888; border-left: 3px solid #ddd; margin: 0.25em 0; padding-left: 0.5em; }`,
+        `</style>`,
+        `</head>`,
+        `<body>`,
+        `<h1>${title}</h1>`,
+        `<p>${messages.length} messages exported ${moment().format(TIMESTAMP_FORMAT)}.</p>`,
+        `<ul>`,
+        ...items,
+        `</ul>`,
+        `</body>`,
+        `</html>`
+    ].join("\n") + "\n";
+}
+
+/**
+ * Render parsed message tokens as (escaped) HTML.
+ *
+ * @private
+ * @param  {Object[]} tokens The message tokens.
+ * @return {String}
+ */
+function renderTokens(tokens) {
+    return tokens.map(token => {
+        switch(token.type) {
+            case "mention":
+            case "all":
+                return `<span class="mention">${escape(token.value)}</span>`;
+
+            case "link":
+                return `<a href="${escape(token.url)}">${escape(token.url)}</a>`;
+
+            case "code":
+                return `<code>${escape(token.code)}</code>`;
+
+            case "codeblock":
+                return `<pre${token.language ? ` data-language="${escape(token.language)}"` : ""}><code>${escape(token.code)}</code></pre>`;
+
+            case "bold":
+                return `<strong>${renderTokens(token.children)}</strong>`;
+
+            case "italic":
+                return `<em>${renderTokens(token.children)}</em>`;
+
+            default:
+                return escape(token.value);
+        }
+    }).join("");
+}
+
+/**
+ * Get the author details of a message. The author may not be loaded, in which case
+ * we only have their ID.
+ *
+ * @private
+ * @param  {Message} message
+ * @return {Object}  { id, handle, name }
+ */
+function getAuthor(message) {
+    const { author } = message;
+
+    if(author && typeof author === "object") {
+        return {
+            id: author.id,
+            handle: author.handle,
+            name: [author.firstName, author.lastName].filter(Boolean).join(" ")
+        };
+    }
+
+    return { id: message.userId, handle: null, name: null };
+}
+
+function formatAuthor(author) {
+    if(!author.handle) {
+        return `User #${author.id}`;
+    }
+
+    return author.name ? `${author.name} (@${author.handle})` : `@${author.handle}`;
+}
+
+function formatTimestamp(timestamp) {
+    return moment(timestamp).format(TIMESTAMP_FORMAT);
+}
+
+function getTitle(room) {
+    if(room.title) {
+        return room.title;
+    }
+
+    return room.people.map(person => `@${person.handle}`).join(", ") || `Room #${room.id}`;
+}
\ No newline at end of file
@@ -1,4 +1,8 @@
-export prompt, { Prompt } from "./prompt";
+export prompt, { Prompt, KeywordError, parseDate } from "./prompt";
+export { Dialog, Conversation } from "./conversation";
+export Transcript from "./transcript";
+export { exportRoom, exportMessages, EXPORT_FORMATS } from "./exporter";
+export { parseMessage, tokensToText, escapeMarkup, TOKEN_TYPES } from "./parser";
 
 export function indent(str, indent = "  ") {
     return indent + str.split("\n").join(`\n${indent}`);
@@ -0,0 +1,210 @@
+/**
+ * The token types produced by `parseMessage`:
+ *
+ *      "text"          { value }
+ *      "mention"       { value, handle, person } where `person` is the resolved Person (or null).
+ *      "all"           { value } an @all mention.
+ *      "link"          { value, url }
+ *      "emoji"         { value, name } e.g. :thumbsup:
+ *      "code"          { value, code } an inline `code` span.
+ *      "codeblock"     { value, code, language } a ``` fenced code block. `language` may be null.
+ *      "bold"          { value, children } **bold**
+ *      "italic"        { value, children } *italic* or _italic_
+ *
+ * `value` is always the raw source of the token. Markup characters escaped with a backslash (e.g. `\*`, see
+ * ESCAPED_CHARACTERS) are left in text tokens.
+ *
+ * @type {String[]}
+ */
+export const TOKEN_TYPES = ["text", "mention", "all", "link", "emoji", "code", "codeblock", "bold", "italic"];
+
+/**
+ * The characters that can be escaped with a backslash to stop them being parsed as markup.
+ *
+ * @type {String[]}
+ */
+export const ESCAPED_CHARACTERS = ["\\", "`", "*", "_", ">", "|"];
+
+// Escaped characters are swapped for characters in the Unicode private use area while parsing
+const PRIVATE_USE = 0xE000;
+const ESCAPE = /\\([\\`*_>|])/g;
+const ESCAPE_PLACEHOLDER = /[\uE000-\uE0FF]/g;
+
+const CODE_BLOCK = /```([\w+#.-]*)[ \t]*\n?([\s\S]*?)```/g;
+const INLINE_CODE = /`([^`\n]+)`/g;
+const EMPHASIS = /\*\*(?=\S)([\s\S]+?)\*\*|\*(?=\S)([^*\n]+?)\*|(^|[^\w])_(?=\S)([^_\n]+?)_(?!\w)/g;
+const LINK = /https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/g;
+const INLINE = /(^|[^\w@])@([\w.-]*\w)|:([a-z][a-z0-9_+-]*):/gi;
+
+/**
+ * Parse a message body into tokens. See TOKEN_TYPES.
+ *
+ *      parseMessage("@peter see **this**: https://teamwork.com :tada:");
+ *
+ * @param  {String}     content         The message body.
+ * @param  {Object}     options         Parser options.
+ * @param  {Function}   options.resolve Resolve a mentioned handle to a Person (or null).
+ * @return {Object[]}                   The tokens.
+ */
+export function parseMessage(content, { resolve = () => null } = {}) {
+    const parseText = text => split(text, INLINE, ([ value, prefix, handle, emoji ]) => {
+        if(emoji) {
+            return { type: "emoji", value, name: emoji.toLowerCase() };
+        }
+
+        const mention = handle.toLowerCase() === "all" ?
+            { type: "all", value: `@${handle}` } :
+            { type: "mention", value: `@${handle}`, handle, person: resolve(handle) || null };
+
+        return prefix ? [ { type: "text", value: prefix }, mention ] : mention;
+    });
+
+    const parseEmphasis = text => split(text, EMPHASIS, ([ value, bold, italic, prefix, underscored ]) => {
+        if(bold) {
+            return { type: "bold", value, children: parseEmphasis(bold) };
+        }
+
+        if(italic) {
+            return { type: "italic", value, children: parseEmphasis(italic) };
+        }
+
+        const token = { type: "italic", value: `_${underscored}_`, children: parseEmphasis(underscored) };
+        return prefix ? [ { type: "text", value: prefix }, token ] : token;
+    }, parseText);
+
+    // Links are split out before emphasis so underscores in URLs are left alone
+    const parseLinks = text => split(text, LINK, ([ value ]) => ({ type: "link", value, url: value }), parseEmphasis);
+
+    const parseInline = text => split(text, INLINE_CODE, ([ value, code ]) => ({ type: "code", value, code }), parseLinks);
+
+    const escaped = (content || "").replace(ESCAPE, (match, char) => String.fromCharCode(PRIVATE_USE + char.charCodeAt(0)));
+
+    return unescapeTokens(split(escaped, CODE_BLOCK, ([ value, language, code ]) => ({
+        type: "codeblock",
+        value,
+        language: language || null,
+        code: code.replace(/\n$/, "")
+    }), parseInline));
+}
+
+/**
+ * Escape text so it's displayed as is: markup characters are escaped with a backslash and mentions are
+ * broken with a zero width space so user content can't notify anyone.
+ *
+ * @param  {String} text The text.
+ * @return {String}      The escaped text.
+ */
+export function escapeMarkup(text) {
+    return String(text)
+        .replace(/[\\`*_|]/g, "\\$&")
+        .replace(/^(\s*)>/gm, "$1\\>")
+        .replace(/@(?=\w)/g, "@\u200B");
+}
+
+/**
+ * Join tokens back into plain text i.e. without the markup.
+ *
+ * @param  {Object[]} tokens The tokens.
+ * @return {String}
+ */
+export function tokensToText(tokens) {
+    return tokens.map(token => {
+        switch(token.type) {
+            case "bold":
+            case "italic":
+                return tokensToText(token.children);
+
+            case "code":
+            case "codeblock":
+                return token.code;
+
+            case "text":
+                return token.value.replace(ESCAPE, "$1");
+
+            default:
+                return token.value;
+        }
+    }).join("");
+}
+
+/**
+ * Restore the escaped characters swapped out by `parseMessage`.
+ *
+ * @private
+ * @param  {Object[]} tokens The tokens.
+ * @return {Object[]}
+ */
+function unescapeTokens(tokens) {
+    const restore = value => value.replace(ESCAPE_PLACEHOLDER, char => "\\" + String.fromCharCode(char.charCodeAt(0) - PRIVATE_USE));
+
+    return tokens.map(token => {
+        const restored = { ...token, value: restore(token.value) };
+
+        if(token.code) {
+            restored.code = restore(token.code);
+        }
+
+        if(token.url) {
+            restored.url = restore(token.url);
+        }
+
+        if(token.children) {
+            restored.children = unescapeTokens(token.children);
+        }
+
+        return restored;
+    });
+}
+
+/**
+ * Split text by a regex into tokens for the matches and the text between them.
+ *
+ * @private
+ * @param  {String}     text    The text.
+ * @param  {RegExp}     regex   A global regex.
+ * @param  {Function}   token   Create the token(s) for a match.
+ * @param  {Function}   between Tokenize the text between matches (default: text tokens).
+ * @return {Object[]}           The tokens.
+ */
+function split(text, regex, token, between = value => [{ type: "text", value }]) {
+    const tokens = [];
+    let index = 0;
+    let match;
+
+    // Copy the regex, the token callbacks can recurse
+    regex = new RegExp(regex.source, regex.flags);
+
+    while(match = regex.exec(text)) {
+        if(match.index > index) {
+            tokens.push(...between(text.slice(index, match.index)));
+        }
+
+        tokens.push(...[].concat(token(match)));
+        index = regex.lastIndex;
+    }
+
+    if(index < text.length) {
+        tokens.push(...between(text.slice(index)));
+    }
+
+    return mergeText(tokens);
+}
+
+/**
+ * Merge adjacent text tokens.
+ *
+ * @private
+ */
+function mergeText(tokens) {
+    return tokens.reduce((merged, token) => {
+        const previous = merged[merged.length - 1];
+
+        if(previous && previous.type === "text" && token.type === "text") {
+            merged[merged.length - 1] = { type: "text", value: previous.value + token.value };
+        } else {
+            merged.push(token);
+        }
+
+        return merged;
+    }, []);
+}
\ No newline at end of file
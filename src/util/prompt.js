@@ -1,10 +1,77 @@
 import Promise, { CancellationError, TimeoutError } from "bluebird";
+import moment from "moment";
 
 export const DEFAULT_MAX_PROMPT_ATTEMPTS = 3;
 export const DEFAULT_TIMEOUT = 30 * 1000;
 
 Promise.config({ cancellation: true });
 
+const YES = ["yes", "y", "yep", "yeah", "sure", "ok", "true"];
+const NO = ["no", "n", "nope", "nah", "false"];
+
+const DATE_FORMATS = ["YYYY-MM-DD", "YYYY-MM-DD HH:mm", "DD/MM/YYYY", "DD/MM/YYYY HH:mm", "D MMM", "D MMM YYYY", "MMM D", "MMM D YYYY"];
+const DATE_UNITS = ["minute", "hour", "day", "week", "month", "year"];
+
+/**
+ * Parse a natural language date e.g. "today", "tomorrow at 3pm", "next friday", "in 2 weeks",
+ * "3 days ago" or "2017-02-28".
+ *
+ * @param  {String} input   The date input.
+ * @param  {Moment} now     The time to parse relative dates from (default: now).
+ * @return {Moment}         The date or null if the input couldn't be parsed.
+ */
+export function parseDate(input, now = moment()) {
+    input = input.trim().toLowerCase();
+
+    // Split off the time e.g. "tomorrow at 3pm"
+    let time = null;
+    const timeMatch = input.match(/^(?:(.+?)\s+)?(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/);
+    if(timeMatch && !/^in\s/.test(input)) {
+        let [, day = "today", hours, minutes = "0", meridiem ] = timeMatch;
+        hours = parseInt(hours, 10) % 12 + (meridiem === "pm" ? 12 : 0);
+        time = { hours, minutes: parseInt(minutes, 10) };
+        input = day;
+    }
+
+    let date = null;
+    let match;
+
+    if(input === "now") {
+        date = now.clone();
+    } else if(input === "today") {
+        date = now.clone().startOf("day");
+    } else if(input === "tomorrow") {
+        date = now.clone().add(1, "day").startOf("day");
+    } else if(input === "yesterday") {
+        date = now.clone().subtract(1, "day").startOf("day");
+    } else if((match = input.match(/^in (\d+|an?) (\w+?)s?$/)) && DATE_UNITS.includes(match[2])) {
+        date = now.clone().add(isNaN(match[1]) ? 1 : parseInt(match[1], 10), match[2]);
+    } else if((match = input.match(/^(\d+|an?) (\w+?)s? ago$/)) && DATE_UNITS.includes(match[2])) {
+        date = now.clone().subtract(isNaN(match[1]) ? 1 : parseInt(match[1], 10), match[2]);
+    } else if((match = input.match(/^(next |last |this )?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)$/))) {
+        const [, modifier = "", weekday ] = match;
+        date = now.clone().startOf("day").day(weekday);
+
+        if(modifier === "last ") {
+            if(!date.isBefore(now, "day")) date.subtract(1, "week");
+        } else if(!date.isAfter(now, "day") && modifier !== "this ") {
+            date.add(1, "week");
+        }
+    } else {
+        date = moment(input, DATE_FORMATS, true);
+
+        if(!date.isValid()) {
+            return null;
+        }
+    }
+
+    if(time) {
+        date.set({ ...time, seconds: 0, milliseconds: 0 });
+    }
+
+    return date;
+}
+
 const validators = {
     float: message => {
         const { content } = message;
@@ -34,23 +101,131 @@ const validators = {
         return input;
     },
 
+    // Pick from `options.choices` by number or by name (case insensitive). The choices
+    // are listed as a numbered menu in the question.
+    choice: (message, { options }) => {
+        const { choices } = options;
+        const content = message.content.trim();
+        const index = /^\d+$/.test(content) ? parseInt(content, 10) - 1 : choices.findIndex(choice => {
+            return String(choice).toLowerCase() === content.toLowerCase();
+        });
+
+        if(index < 0 || index >= choices.length) {
+            throw new Error(`Sorry, "${content}" isn't one of the options. Please reply with a number from 1 to ${choices.length}.`);
+        }
+
+        return choices[index];
+    },
+
+    boolean: message => {
+        const content = message.content.trim().toLowerCase().replace(/[.!]+$/, "");
+
+        if(YES.includes(content)) {
+            return true;
+        }
+
+        if(NO.includes(content)) {
+            return false;
+        }
+
+        throw new Error("Sorry, I need a yes or no.");
+    },
+
+    date: message => {
+        const date = parseDate(message.content);
+
+        if(!date) {
+            throw new Error(`Sorry, I didn't understand that date. Try something like "tomorrow at 3pm", "next friday", "in 2 days" or "2017-02-28".`);
+        }
+
+        return date;
+    },
+
+    // Resolve a @handle to a Person with TeamworkChat#getPersonByHandle. The TeamworkChat instance
+    // is `options.chat` or the chat the prompt's target belongs to (see Prompt#constructor).
+    person: (message, { options, target }) => {
+        const match = message.content.trim().match(/^@?([\w.-]+)$/);
+
+        if(!match) {
+            throw new Error("Sorry, I need a person's @handle e.g. @adrian.");
+        }
+
+        const chat = options.chat || target.api.user;
+
+        return chat.getPersonByHandle(match[1]).catch(() => {
+            throw new Error(`Sorry, I can't find anyone with the handle @${match[1]}.`);
+        });
+    },
+
+    // Match `options.pattern`, resolving to the match. `options.hint` describes the expected input.
+    regex: (message, { options }) => {
+        const match = message.content.trim().match(options.pattern);
+
+        if(!match) {
+            throw new Error(`Sorry, I didn't understand that. ${options.hint || `Your reply must match ${options.pattern}.`}`);
+        }
+
+        return match;
+    },
+
     "default": input => input
 }
 
+/**
+ * The error a prompt rejects with when the person replies with one of the prompt's keywords.
+ */
+export class KeywordError extends Error {
+    constructor(keyword) {
+        super(`Prompt keyword "${keyword}" received.`);
+
+        this.keyword = keyword;
+    }
+}
+
 export class Prompt {
     constructor(target, input) {
         if(typeof input === "string") {
             input = { message: input };
         }
 
-        if(input.validate && typeof input.validate === "string") {
-            input.validate = validators[input.validate];
-        }
-
         if(!input.message) {
             throw new Error("Please provide a message for the prompt.");
         }
 
+        // Shorthands: an array of choices or a regex
+        if(Array.isArray(input.validate)) {
+            input = { ...input, validate: "choice", choices: input.validate };
+        } else if(input.validate instanceof RegExp) {
+            input = { ...input, validate: "regex", pattern: input.validate };
+        }
+
+        if(input.validate && typeof input.validate === "string") {
+            if(!validators[input.validate]) {
+                throw new Error(`Unknown prompt validator "${input.validate}".`);
+            }
+
+            if(input.validate === "choice") {
+                if(!input.choices || !input.choices.length) {
+                    throw new Error("Please provide choices for the prompt.");
+                }
+
+                input = {
+                    ...input,
+                    message: `${input.message}\n${input.choices.map((choice, i) => `${i + 1}. ${choice}`).join("\n")}`
+                };
+            }
+
+            if(input.validate === "regex" && !(input.pattern instanceof RegExp)) {
+                throw new Error("Please provide a pattern for the prompt.");
+            }
+
+            if(input.validate === "person" && !input.chat && !(target.api && target.api.user)) {
+                throw new Error("Please pass `options.chat` to prompt for a person, the target doesn't belong to a TeamworkChat instance.");
+            }
+
+            input = { ...input, validate: validators[input.validate] };
+        }
+
         this.target = target;
         this.options = {
             validate: validators["default"],
@@ -71,12 +246,25 @@ export class Prompt {
 
             let attempt = 0;
             this.target.on("message:received", this.handler = (message) => {
-                Promise.try(this.options.validate.bind(null, message))
+                const { from, keywords } = this.options;
+
+                // Only accept replies from the person being prompted (if any)
+                if(from && message.author !== from && message.userId !== from.id) {
+                    return;
+                }
+
+                const keyword = (message.content || "").trim().toLowerCase();
+
+                if(keywords && keywords.includes(keyword)) {
+                    return this.fail(new KeywordError(keyword));
+                }
+
+                Promise.try(this.options.validate.bind(null, message, this))
                     .then(this.finalize.bind(this))
                     .catch(err => {
                         if(attempt < this.options.maxAttempts) {
                             attempt++;
-                            return this.target.sendMessage(`${err.message} (${this.options.maxAttempts - attempt + 1} attempts remaining)`);
+                            return this.say(`${err.message} (${this.options.maxAttempts - attempt + 1} attempts remaining)`);
                         } else throw Object.assign(
                             new Error("Too many attempts, sorry. I didn't understand your input."),
                             { attempt, maxAttempts: this.options.maxAttempts }
@@ -85,14 +273,25 @@ export class Prompt {
                     .catch(this.fail.bind(this));
             });
 
-            this.target.sendMessage(this.options.message).catch(this.fail.bind(this));
+            this.say(this.options.message).catch(this.fail.bind(this));
         }).timeout(this.options.timeout).tapCatch(err => {
             if(err instanceof TimeoutError) {
-                return this.target.sendMessage(`Sorry, too slow.`);
+                return this.say(`Sorry, too slow.`);
             }
         });
     }
 
+    say(content) {
+        const { from } = this.options;
+
+        // Address the person when prompting them in a room with other people
+        if(from && from !== this.target) {
+            content = `@${from.handle} ${content}`;
+        }
+
+        return this.target.sendMessage(content);
+    }
+
     finalize(value) {
         if(this.resolve) {
             this.value = value;
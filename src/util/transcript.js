@@ -0,0 +1,188 @@
+import Promise from "bluebird";
+import moment from "moment";
+import { uniq } from "lodash";
+import EventEmitter from "../lib/EventEmitter";
+
+export const DEFAULT_LINE_INTERVAL = 1000;
+
+const SCRIPT_LINE = /^@([^\s:]+):\s?(.*)$/;
+
+/**
+ * A transcript of messages that can be replayed into a room, with each message sent by its
+ * original author (via impersonation). Transcripts are parsed from either a script:
+ *
+ *      @adrian: @all how's those reports coming?
+ *      @dwight: morning everybody
+ *
+ * Or from a JSONL export (see `exportRoom`), in which case the original timings between
+ * messages are preserved.
+ *
+ * Events:
+ *
+ *      "line": ({Object} line, {Message} message)
+ *
+ *          Emitted when a line is replayed. In a dry run, `message` is null.
+ *
+ */
+export default class Transcript extends EventEmitter {
+    /**
+     * The transcript lines in order: `{ handle, content, createdAt }`. `createdAt` is
+     * null for lines parsed from a script.
+     *
+     * @type {Object[]}
+     */
+    lines;
+
+    /**
+     * Create a new transcript.
+     *
+     * @param  {Object[]} lines The transcript lines.
+     */
+    constructor(lines = []) {
+        super();
+
+        this.lines = lines;
+    }
+
+    /**
+     * The handles of every person in the transcript.
+     *
+     * @return {String[]}
+     */
+    get handles() {
+        return uniq(this.lines.map(line => line.handle));
+    }
+
+    /**
+     * Calculate the delay before each line is sent.
+     *
+     * @param  {Object} options             Timing options.
+     * @param  {Number} options.speed       The speed factor e.g. 2 replays twice as fast (default: 1).
+     * @param  {Number} options.interval    The delay (ms) between lines without timestamps (default: 1000).
+     * @return {Object[]}                   The lines with a `delay` (ms) property.
+     */
+    schedule({ speed = 1, interval = DEFAULT_LINE_INTERVAL } = {}) {
+        if(!(speed > 0)) {
+            throw new Error(`Invalid replay speed "${speed}". The speed must be greater than zero.`);
+        }
+
+        return this.lines.map((line, i) => {
+            const previous = this.lines[i - 1];
+            let delay = 0;
+
+            if(previous) {
+                delay = line.createdAt && previous.createdAt ? Math.max(line.createdAt.diff(previous.createdAt), 0) : interval;
+            }
+
+            return { ...line, delay: Math.round(delay / speed) };
+        });
+    }
+
+    /**
+     * Replay the transcript into a room. Each line is sent by a TeamworkChat session for the line's
+     * handle, impersonated from `chat` (lines by `chat` itself are sent by `chat`). The sessions
+     * are closed once the replay completes.
+     *
+     * @param  {TeamworkChat}   chat            The (administrator) TeamworkChat instance.
+     * @param  {Number}         roomId          The room to replay the transcript into.
+     * @param  {Object}         options         Replay options, also passed to Transcript#schedule.
+     * @param  {Boolean}        options.dryRun  Validate the handles and emit each line without impersonating
+     *                                          anyone, sending anything or waiting between lines.
+     * @return {Promise<Message[]>}             Resolves to the sent messages (empty in a dry run).
+     */
+    replay(chat, roomId, options = {}) {
+        const lines = this.schedule(options);
+
+        if(options.dryRun) {
+            return Promise.mapSeries(this.handles, handle => chat.getPersonByHandle(handle)).then(() => {
+                lines.forEach(line => this.emit("line", line, null));
+
+                return [];
+            });
+        }
+
+        const sessions = [];
+        const rooms = {};
+
+        return Promise.mapSeries(this.handles, handle => {
+            return Promise.try(() => {
+                if(handle === chat.handle) {
+                    return chat;
+                }
+
+                return chat.impersonateByHandle(handle).tap(session => sessions.push(session));
+            }).then(session => session.getRoom(roomId)).then(room => {
+                rooms[handle] = room;
+            });
+        }).then(() => {
+            return Promise.mapSeries(lines, line => {
+                return Promise.delay(line.delay).then(() => {
+                    return rooms[line.handle].sendMessage(line.content);
+                }).tap(message => {
+                    this.emit("line", line, message);
+                });
+            });
+        }).finally(() => {
+            sessions.forEach(session => session.close());
+        });
+    }
+
+    /**
+     * Parse a transcript from either a script or a JSONL export.
+     *
+     * @param  {String} input   The script or JSONL.
+     * @return {Transcript}
+     */
+    static parse(input) {
+        const isJSONL = input.trim().startsWith("{");
+
+        return isJSONL ? Transcript.parseJSONL(input) : Transcript.parseScript(input);
+    }
+
+    /**
+     * Parse a transcript from a script. Each non-empty line must be in the `@handle: message` format.
+     *
+     * @param  {String} script  The script.
+     * @return {Transcript}
+     */
+    static parseScript(script) {
+        const lines = script.split("\n").map((line, i) => {
+            line = line.trim();
+
+            if(!line) {
+                return null;
+            }
+
+            const match = line.match(SCRIPT_LINE);
+
+            if(!match) {
+                throw new Error(`Invalid transcript line ${i + 1}, expected "@handle: message": ${line}`);
+            }
+
+            return { handle: match[1], content: match[2], createdAt: null };
+        }).filter(Boolean);
+
+        return new Transcript(lines);
+    }
+
+    /**
+     * Parse a transcript from a JSONL export. Deleted messages and messages with an
+     * unknown author are skipped.
+     *
+     * @param  {String} jsonl   The JSONL export.
+     * @return {Transcript}
+     */
+    static parseJSONL(jsonl) {
+        const lines = jsonl.split("\n").filter(line => line.trim()).map(line => {
+            return JSON.parse(line);
+        }).filter(message => {
+            return message.status !== "redacted" && message.author && message.author.handle && message.body;
+        }).map(message => ({
+            handle: message.author.handle,
+            content: message.body,
+            createdAt: moment(message.createdAt)
+        }));
+
+        return new Transcript(lines);
+    }
+}
\ No newline at end of file
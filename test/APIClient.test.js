@@ -1,6 +1,12 @@
+import url from "url";
+import path from "path";
+import http from "http";
 import assert from "assert";
-import APIClient, { isSubset } from "../src/APIClient";
-import { INSTALLATION, USERNAME, PASSWORD, localAPIClient } from "./fixture";
+import APIClient, { HTTPError, isSubset } from "../src/APIClient";
+import Promise, { TimeoutError } from "bluebird";
+import { FrameValidationError } from "../src/lib/frames";
+import OutboundQueue from "../src/lib/OutboundQueue";
+import { INSTALLATION, USERNAME, PASSWORD, localAPIClient, createFrame, createMessageFrame } from "./fixture";
 
 describe("APIClient", () => {
     describe("isSubset", () => {
@@ -29,4 +35,294 @@ describe("APIClient", () => {
             ));
         });
     })
+
+    describe("frame validation", () => {
+        let api;
+        beforeEach(async () => {
+            api = await localAPIClient();
+        });
+
+        afterEach(() => api.close());
+
+        it("should emit `frame:invalid` and still emit the frame when lenient", () => {
+            const invalid = [], frames = [];
+            api.on("frame:invalid", (frame, errors) => invalid.push(errors));
+            api.on("frame", frame => frames.push(frame));
+
+            api.onSocketMessage(JSON.stringify(createMessageFrame({ roomId: undefined })));
+
+            assert.deepEqual(invalid, [["contents.roomId: expected number, got undefined"]]);
+            assert.equal(frames.length, 1);
+        });
+
+        it("should drop invalid incoming frames when strict", () => {
+            const frames = [];
+            api.frameValidation = "strict";
+            api.on("frame", frame => frames.push(frame));
+
+            api.onSocketMessage(JSON.stringify(createMessageFrame({ roomId: undefined })));
+            api.onSocketMessage(JSON.stringify(createFrame("room.unknown", {})));
+
+            assert.equal(frames.length, 0);
+        });
+
+        it("should reject invalid outgoing frames when strict", async () => {
+            api.frameValidation = "strict";
+
+            try {
+                await api.sendFrame("room.typing", { roomId: true, isTyping: true });
+                assert.fail("Expected frame to be rejected.");
+            } catch(error) {
+                assert(error instanceof FrameValidationError);
+                assert.deepEqual(error.errors, ["contents.roomId: expected number, got boolean"]);
+            }
+        });
+    });
+
+    describe("outbound queue", () => {
+        let connected, responses, sent, queue;
+        beforeEach(() => {
+            connected = true;
+            responses = [];
+            sent = [];
+            queue = new OutboundQueue((type, contents) => {
+                sent.push(contents.body);
+                return Promise.try(responses.shift() || (() => contents.body));
+            }, () => connected, { retryDelay: 5 });
+        });
+
+        it("should hold requests while disconnected and flush them in order", async () => {
+            connected = false;
+            const requests = ["one", "two"].map(body => queue.push("room.message.created", { body }));
+
+            assert.deepEqual(requests.map(request => request.entry.state), ["pending", "pending"]);
+            assert.deepEqual(sent, []);
+
+            connected = true;
+            queue.flush();
+
+            assert.deepEqual(await Promise.all(requests), ["one", "two"]);
+            assert.deepEqual(requests.map(request => request.entry.state), ["sent", "sent"]);
+        });
+
+        it("should retry timed out requests with backoff and fail when out of retries", async () => {
+            const retries = [];
+            queue.maxRetries = 2;
+            queue.on("retry", (entry, delay) => retries.push(delay));
+
+            responses.push(() => { throw new TimeoutError(); });
+            const retried = await queue.push("room.message.created", { body: "one" });
+
+            responses.push(...[1, 2, 3].map(() => () => { throw new TimeoutError(); }));
+            const failed = queue.push("room.message.created", { body: "two" });
+
+            try {
+                await failed;
+                assert.fail("Expected request to fail.");
+            } catch(error) {
+                assert(error instanceof TimeoutError);
+            }
+
+            assert.equal(retried, "one");
+            assert.deepEqual(retries, [5, 5, 10]);
+            assert.deepEqual(sent, ["one", "one", "two", "two", "two"]);
+            assert.equal(failed.entry.state, "failed");
+        });
+
+        it("should keep in flight requests queued if the connection drops", async () => {
+            responses.push(() => {
+                connected = false;
+                throw new Error("Socket closed.");
+            });
+
+            const request = queue.push("room.message.created", { body: "one" });
+            await Promise.delay(5);
+
+            assert.equal(request.entry.state, "pending");
+
+            connected = true;
+            queue.flush();
+
+            assert.equal(await request, "one");
+            assert.equal(request.entry.attempts, 1);
+        });
+
+        it("should fail in flight requests that aren't retryable if the connection drops", async () => {
+            queue.isRetryable = type => type !== "room.message.created";
+            responses.push(() => {
+                connected = false;
+                throw new Error("Socket closed.");
+            });
+
+            const request = queue.push("room.message.created", { body: "one" });
+
+            try {
+                await request;
+                assert.fail("Expected request to fail.");
+            } catch(error) {
+                assert.equal(error.message, "Socket closed.");
+            }
+
+            assert.equal(request.entry.state, "failed");
+            assert.deepEqual(queue.entries, []);
+        });
+
+        it("should queue messages sent while the APIClient is disconnected", async () => {
+            const api = await localAPIClient();
+
+            try {
+                api.socket.readyState = 3;
+                api.socket.on("client:incoming", frame => {
+                    if(frame.name === "room.message.created") {
+                        api.onSocketMessage(JSON.stringify({ ...createMessageFrame({ body: frame.contents.body }), nonce: frame.nonce }));
+                    }
+                });
+
+                const message = api.sendMessage(1, "howya");
+                assert.equal(message.entry.state, "pending");
+
+                api.socket.readyState = 1;
+                api.emit("connected");
+
+                assert.equal((await message).body, "howya");
+                assert.equal(message.entry.state, "sent");
+            } finally {
+                api.close();
+            }
+        });
+
+        it("should hold messages until the socket is authenticated", async () => {
+            const api = await localAPIClient();
+
+            try {
+                // The socket is open but the client hasn't authenticated yet
+                api.authenticated = false;
+
+                const message = api.sendMessage(1, "howya");
+                api.socket.on("client:incoming", frame => {
+                    api.onSocketMessage(JSON.stringify({ ...createMessageFrame({ body: frame.contents.body }), nonce: frame.nonce }));
+                });
+
+                await Promise.delay(5);
+                assert.equal(message.entry.state, "pending");
+
+                api.emit("connected");
+
+                assert.equal((await message).body, "howya");
+            } finally {
+                api.close();
+            }
+        });
+
+        it("should not retry messages that time out", async () => {
+            const api = await localAPIClient();
+            const retries = [];
+
+            try {
+                api.on("outbound:retry", entry => retries.push(entry));
+
+                const message = api.socketRequest("room.message.created", { roomId: 1, body: "howya" }, 5);
+
+                try {
+                    await message;
+                    assert.fail("Expected message to fail.");
+                } catch(error) {
+                    assert(error instanceof TimeoutError);
+                }
+
+                assert.deepEqual(retries, []);
+                assert.equal(message.entry.attempts, 1);
+                assert.equal(message.entry.state, "failed");
+            } finally {
+                api.close();
+            }
+        });
+    });
+
+    describe("#getAllRooms", () => {
+        it("should request every page of rooms", async () => {
+            const api = new APIClient("http://local", "local-auth");
+            const requested = [];
+
+            // The server caps the page size at 2
+            api.getRooms = (filter, offset, limit) => {
+                requested.push(offset);
+
+                const rooms = [1, 2, 3, 4, 5].slice(offset, offset + 2).map(id => ({ id }));
+                return Promise.resolve(Object.assign(rooms, { offset, limit: 2, total: 5 }));
+            };
+
+            const rooms = await api.getAllRooms({ since: "2017-01-29T18:00:00.000Z" }, 50);
+
+            assert.deepEqual(requested, [0, 2, 4]);
+            assert.deepEqual(rooms.map(room => room.id), [1, 2, 3, 4, 5]);
+        });
+    });
+
+    describe("files", () => {
+        const files = {};
+        let server, api;
+
+        // A local stand-in for the upload and download endpoints.
+        before(done => {
+            server = http.createServer((req, res) => {
+                const { pathname, query } = url.parse(req.url, true);
+
+                if(req.method === "POST" && pathname === "/chat/v2/files.json") {
+                    const chunks = [];
+                    req.on("data", chunk => chunks.push(chunk));
+                    req.on("end", () => {
+                        const key = `abc123.${query.name}`;
+                        files[key] = { data: Buffer.concat(chunks), contentType: req.headers["content-type"] };
+
+                        res.setHeader("Content-Type", "application/json");
+                        res.end(JSON.stringify({ file: { key } }));
+                    });
+                } else if(req.method === "GET" && files[decodeURIComponent(path.basename(pathname))]) {
+                    res.end(files[decodeURIComponent(path.basename(pathname))].data);
+                } else {
+                    res.statusCode = 404;
+                    res.end();
+                }
+            }).listen(0, "127.0.0.1", () => {
+                api = new APIClient(`http://127.0.0.1:${server.address().port}`, "local-auth");
+                done();
+            });
+        });
+
+        after(done => server.close(done));
+
+        describe("#uploadFile", () => {
+            it("should upload the raw file contents and return the file descriptor", async () => {
+                const file = await api.uploadFile(new Buffer("console.log(1);"), {
+                    name: "index.js",
+                    contentType: "text/javascript"
+                });
+
+                assert.deepEqual(file, { name: "index.js", key: "abc123.index.js", contentType: "text/javascript" });
+                assert.equal(files[file.key].data.toString(), "console.log(1);");
+                assert.equal(files[file.key].contentType, "text/javascript");
+            });
+        });
+
+        describe("#downloadFile", () => {
+            it("should download the file contents", async () => {
+                const { key } = await api.uploadFile(new Buffer("hello"), { name: "hello.txt" });
+                const data = await api.downloadFile(key);
+
+                assert(Buffer.isBuffer(data));
+                assert.equal(data.toString(), "hello");
+            });
+
+            it("should reject with an HTTPError if the file doesn't exist", async () => {
+                try {
+                    await api.downloadFile("missing");
+                    assert.fail("Expected download to fail.");
+                } catch(error) {
+                    assert(error instanceof HTTPError);
+                    assert.equal(error.statusCode, 404);
+                }
+            });
+        });
+    });
 });
\ No newline at end of file
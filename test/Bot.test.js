@@ -0,0 +1,111 @@
+import assert from "assert";
+import { EventEmitter } from "events";
+import Promise from "bluebird";
+import { Bot } from "../src";
+
+class TestBot extends Bot {}
+
+describe("Bot", () => {
+    let chat, bot, room, sent;
+    beforeEach(() => {
+        sent = [];
+        chat = Object.assign(new EventEmitter(), { id: 1, handle: "bot" });
+        room = { id: 1, type: "private", sendMessage: content => Promise.resolve(sent.push(String(content))) };
+        bot = new TestBot(chat);
+    });
+
+    function send(content, target = room, message = {}) {
+        return bot.onMessage(target, { id: 1, userId: 2, author: { id: 2, handle: "adrian" }, content, room: target, ...message });
+    }
+
+    it("should not be instantiated directly", () => {
+        assert.throws(() => new Bot(chat), /to be extended/);
+    });
+
+    it("should route prefixed and mentioned commands with parsed arguments", async () => {
+        const calls = [];
+        bot.command("remind <handle:handle> <minutes:int> [message...]", (message, args) => {
+            calls.push(args);
+            return "ok";
+        });
+
+        await send("!remind @peter 5 \"the reports\" please");
+        await send("@bot, remind peter 10");
+        await send("remind peter 10");
+
+        assert.deepEqual(calls, [
+            { handle: "peter", minutes: 5, message: "the reports please" },
+            { handle: "peter", minutes: 10, message: undefined }
+        ]);
+        assert.deepEqual(sent, ["ok", "ok"]);
+    });
+
+    it("should match patterns when addressed", async () => {
+        bot.command(/count me (in|out)/, (message, match) => `you're ${match[1]}`);
+
+        await send("@bot count me in");
+        await send("count me out", { ...room, type: "pair" });
+        await send("count me in");
+
+        assert.deepEqual(sent, ["you're in", "you're out"]);
+    });
+
+    it("should only match mentions of the whole handle", async () => {
+        bot.command(/hi/, () => "hello");
+
+        await send("@bottle hi");
+        await send("@bot: hi");
+
+        assert.deepEqual(sent, ["hello"]);
+    });
+
+    it("should reply with the usage for invalid arguments and to unknown commands", async () => {
+        bot.command("remind <minutes:int>", () => {});
+
+        await send("!remind soon");
+        await send("!dance");
+
+        assert.equal(sent[0], "Usage: !remind <minutes:int>");
+        assert(sent[1].includes(`I don't know how to "dance"`));
+    });
+
+    it("should only reply to unknown commands that were prefixed or mentioned the bot", async () => {
+        const pair = { ...room, type: "pair" };
+
+        await send("thanks for that", pair);
+        await send("@bot *dance*", pair, { author: 2 });
+
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0], `Sorry, I don't know how to "\\*dance\\*". Say \`!help\` for a list of commands.`);
+    });
+
+    it("should ignore replayed messages unless enabled", async () => {
+        bot.command("in", () => "in");
+
+        await send("!in", room, { replayed: true });
+        assert.deepEqual(sent, []);
+
+        bot = new TestBot(chat, { replayed: true });
+        bot.command("in", () => "in");
+
+        await send("!in", room, { replayed: true });
+        assert.deepEqual(sent, ["in"]);
+    });
+
+    it("should scope commands to rooms and generate help", async () => {
+        bot.command("in", { description: "count yourself in", rooms: [2] }, () => "in");
+        bot.command("out", { description: "count yourself out" }, () => "out");
+
+        await send("!in");
+        await send("!help");
+
+        assert(sent[0].includes(`I don't know how to "in"`));
+        assert.equal(sent[1], "Commands:\n!help - list the commands\n!out - count yourself out");
+    });
+
+    it("should ignore its own messages", async () => {
+        await bot.onMessage(room, { userId: 1, author: chat, content: "!help" });
+
+        assert.deepEqual(sent, []);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import Promise from "bluebird";
+import TeamworkChat, { APIClient, Cassette, MockServer } from "../src";
+
+describe("Cassette", function() {
+    this.timeout(10000);
+
+    const file = path.join(os.tmpdir(), `tw-chat-cassette-test-${process.pid}.json`);
+
+    after(() => {
+        if(fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+
+    function nextMessage(chat) {
+        return new Promise(resolve => chat.once("message", (room, message) => resolve([room, message])));
+    }
+
+    it("should record traffic with auth redacted and replay it", async () => {
+        const { WebSocket, fetch } = APIClient;
+        const server = await new MockServer().listen();
+        const { installation, socketServer } = server;
+        const bot = server.addPerson({ handle: "bot" });
+        const peter = server.addPerson({ handle: "peter" });
+        const room = server.addRoom({ title: "Standup", people: [ bot.id, peter.id ] });
+
+        // Record
+        const cassette = new Cassette().record();
+        let chat = await TeamworkChat.fromAuth(installation, bot.auth, socketServer);
+        let received = nextMessage(chat);
+
+        await Promise.delay(50);
+        server.addMessage(room.id, peter.id, "@bot hello");
+
+        let [ chatRoom ] = await received;
+        const sent = await chatRoom.sendMessage("hi peter");
+
+        chat.close();
+        await cassette.stop().save(file);
+        await server.close();
+
+        assert.equal(APIClient.WebSocket, WebSocket);
+        assert.equal(APIClient.fetch, fetch);
+
+        const contents = fs.readFileSync(file, "utf8");
+        assert(!contents.includes(bot.auth));
+        assert(contents.includes('"authKey": "[REDACTED]"'));
+
+        // Replay, without the server
+        const replay = (await Cassette.load(file)).replay();
+        chat = await TeamworkChat.fromAuth(installation, "replay", socketServer);
+        received = nextMessage(chat);
+
+        const [ replayedRoom, message ] = await received;
+        assert.equal(message.content, "@bot hello");
+        assert.equal(message.author.handle, "peter");
+
+        const replayed = await replayedRoom.sendMessage("hi peter");
+        assert.equal(replayed.id, sent.id);
+
+        chat.close();
+        replay.stop();
+    });
+});
\ No newline at end of file
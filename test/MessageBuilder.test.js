@@ -0,0 +1,79 @@
+import assert from "assert";
+import Promise from "bluebird";
+import { MessageBuilder, Room, parseMessage, tokensToText } from "../src";
+import { localTeamworkChat, createMessageFrame, createPerson } from "./fixture";
+
+describe("MessageBuilder", () => {
+    it("should build formatted messages", () => {
+        const message = new MessageBuilder()
+            .mention(createPerson({ handle: "peter" })).text(", the build ").bold("failed").text(":")
+            .codeBlock("npm test", "sh")
+            .list(["one", "two"], { ordered: true })
+            .table([[ "a", "b" ]], { headers: [ "x", "y" ] })
+            .quote("done");
+
+        assert.equal(message.toString(), [
+            "@peter, the build **failed**:",
+            "```sh",
+            "npm test",
+            "```",
+            "1. one",
+            "2. two",
+            "| x | y |",
+            "| --- | --- |",
+            "| a | b |",
+            "> done"
+        ].join("\n"));
+    });
+
+    it("should escape user content", () => {
+        const content = "*not bold* @all `code` under_scored > quoted";
+        const message = new MessageBuilder().text(content).bold(new MessageBuilder().text("_"));
+        const tokens = parseMessage(message.toString());
+
+        assert.deepEqual(tokens.map(token => token.type), ["text", "bold"]);
+        assert.equal(tokensToText(tokens[1].children), "_");
+        assert.equal(tokensToText(tokens).replace(/\u200B/g, ""), content + "_");
+    });
+
+    it("should split messages over the maximum length", () => {
+        const builder = new MessageBuilder({ maxLength: 30 })
+            .text("first line\n")
+            .text("a long line that needs splitting at a space")
+            .codeBlock("line 1\nline 2\nline 3\nline 4");
+
+        const messages = builder.build();
+
+        assert(messages.every(message => message.length <= 30));
+        assert.deepEqual(messages.slice(0, 3), ["first line", "a long line that needs", "splitting at a space"]);
+        assert(messages.slice(3).every(message => message.startsWith("```\n") && message.endsWith("\n```")));
+    });
+
+    it("should append other messages", () => {
+        const message = new MessageBuilder()
+            .text("*one*")
+            .append(new MessageBuilder().bold("two").text(" three"))
+            .append(" *four*");
+
+        assert.equal(message.toString(), "\\*one\\***two** three *four*");
+        assert.equal(message.parts.length, 4);
+    });
+
+    it("should be sent by Room#sendMessage", async () => {
+        const chat = await localTeamworkChat();
+        const room = chat.addRoom(new Room(chat.api, { id: 1 }));
+        const sent = [];
+
+        chat.api.sendMessage = (roomId, body) => {
+            sent.push(body);
+            return Promise.resolve(createMessageFrame({ id: sent.length, roomId, body }).contents);
+        };
+
+        const messages = await room.sendMessage(new MessageBuilder({ maxLength: 10 }).text("hello there world"));
+
+        assert.deepEqual(sent, ["hello", "there", "world"]);
+        assert.deepEqual(messages.map(message => message.id), [1, 2, 3]);
+
+        chat.close();
+    });
+});
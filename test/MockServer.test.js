@@ -0,0 +1,102 @@
+import assert from "assert";
+import Promise from "bluebird";
+import { MockServer } from "../src";
+
+describe("MockServer", function() {
+    this.timeout(10000);
+
+    let server, bot, peter, room, chat;
+    beforeEach(async () => {
+        server = await new MockServer().listen();
+        bot = server.addPerson({ handle: "bot" });
+        peter = server.addPerson({ handle: "peter" });
+        room = server.addRoom({ title: "Standup", people: [ bot.id, peter.id ] });
+        chat = await server.login("bot");
+    });
+
+    afterEach(async () => {
+        chat.close();
+        await server.close();
+    });
+
+    function nextMessage(chat) {
+        return new Promise(resolve => chat.once("message", (room, message) => resolve([room, message])));
+    }
+
+    it("should receive messages broadcast to the room", async () => {
+        const received = nextMessage(chat);
+        server.addMessage(room.id, peter.id, "@bot hello");
+
+        const [ chatRoom, message ] = await received;
+        assert.equal(chatRoom.id, room.id);
+        assert.equal(message.content, "@bot hello");
+        assert.equal(message.author.handle, "peter");
+    });
+
+    it("should send messages to the other people in the room", async () => {
+        const other = await server.login("peter");
+        const received = nextMessage(other);
+
+        const sent = await (await chat.getRoom(room.id)).sendMessage("morning");
+        const [ , message ] = await received;
+
+        assert.equal(sent.id, message.id);
+        assert.equal(message.author.handle, "bot");
+        assert.deepEqual(server.messages.map(message => message.body), ["morning"]);
+
+        other.close();
+    });
+
+    it("should create rooms", async () => {
+        const mary = server.addPerson({ handle: "mary" });
+        const created = await chat.createRoomWithHandles(["peter", "mary"], "Hi both");
+
+        assert(created.initialized);
+        assert.deepEqual(server.rooms[created.id].people, [ bot.id, peter.id, mary.id ]);
+        assert.equal(server.messages[0].body, "Hi both");
+    });
+
+    it("should mark rooms read and report who has seen our messages", async () => {
+        const other = await server.login("peter");
+        const chatRoom = await chat.getRoom(room.id);
+        const seen = new Promise(resolve => chat.once("message:seen", (room, message, person) => resolve([message, person])));
+
+        const announcement = await chatRoom.sendMessage("release at 5");
+        await Promise.delay(50);
+        await (await other.getRoom(room.id)).markRead();
+
+        const [ message, person ] = await seen;
+        assert.equal(message, announcement);
+        assert.equal(person.handle, "peter");
+        assert.deepEqual(announcement.seenBy.map(person => person.handle), ["peter"]);
+
+        // Our own unread counts
+        const received = nextMessage(chat);
+        server.addMessage(room.id, peter.id, "ok");
+        const [ , reply ] = await received;
+        assert.equal(chatRoom.unread.count, 1);
+
+        await chatRoom.markRead(reply);
+        assert(!chatRoom.isUnread);
+        assert(chatRoom.lastViewedAt.isSame(reply.createdAt));
+        assert.equal(server.rooms[room.id].lastViewedAt[bot.id], reply.createdAt.toJSON());
+
+        other.close();
+    });
+
+    it("should replay messages missed while disconnected", async () => {
+        chat.close();
+        chat = await server.login("bot", { reconnection: { interval: 10 } });
+
+        const reconnected = new Promise(resolve => chat.once("reconnect", (people, rooms, messages) => resolve(messages)));
+        server.dropConnections();
+
+        // Wait for the socket to close before the message is sent
+        await new Promise(resolve => chat.once("disconnect", resolve));
+        server.addMessage(room.id, peter.id, "you missed this");
+
+        const [ message ] = await reconnected;
+        assert.equal(message.content, "you missed this");
+        assert(message.replayed);
+    });
+});
\ No newline at end of file
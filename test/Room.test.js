@@ -1,15 +1,26 @@
 import assert from "assert";
 import Promise from "bluebird";
-import { devTeamworkChat } from "./fixture";
+import moment from "moment";
+import { range } from "lodash";
+import { localTeamworkChat, createMessageFrame, createPerson, expectRequest } from "./fixture";
 import TeamworkChat, {
-    APIClient, Person, Room, Message
-} from "..";
+    APIClient, Person, Room, Message, MockServer
+} from "../src";
 
 describe("Room", function() {
     describe("instance methods", () => {
-        let chat;
+        let server, chat;
         beforeEach(async () => {
-            chat = await devTeamworkChat();
+            server = await new MockServer().listen();
+            server.addPerson({ handle: "bot" });
+            server.addPerson({ handle: "peter" });
+            server.addPerson({ handle: "testUser2" });
+            chat = await server.login("bot");
+        });
+
+        afterEach(async () => {
+            chat.close();
+            await server.close();
         });
 
         describe("#sendMessage", () => {
@@ -17,6 +28,175 @@ describe("Room", function() {
                 let room = await chat.getRoomForHandles(["peter", "testUser2"]);
 
                 await room.sendMessage("howya lads");
+
+                assert(room.initialized);
+                assert.deepEqual(server.messages.map(message => message.body), ["howya lads"]);
+            });
+        });
+    });
+
+    describe("message methods", () => {
+        let chat, room;
+        beforeEach(async () => {
+            chat = await localTeamworkChat();
+            room = chat.addRoom(new Room(chat.api, { id: 1 }));
+        });
+
+        afterEach(() => chat.close());
+
+        describe("#editMessage", () => {
+            it("should update the message content and emit `message:updated` once", async () => {
+                const updates = [];
+                const message = room.saveMessage(createMessageFrame().contents);
+                const restore = expectRequest(/rooms\/1\/messages\/52\.json/);
+
+                room.on("message:updated", (message, previous) => updates.push(previous.content));
+
+                try {
+                    const edited = await message.edit("howya lads");
+
+                    assert.equal(edited, message);
+                    assert.equal(message.content, "howya lads");
+                    assert(message.editedAt);
+
+                    // The frame echoing our edit shouldn't emit another update
+                    await room.handleUpdatedMessage({ id: 52, roomId: 1, body: "howya lads" });
+
+                    assert.deepEqual(updates, ["howya lad"]);
+                } finally {
+                    restore();
+                }
+            });
+        });
+
+        describe("#handleUpdatedMessage", () => {
+            it("should skip updates to messages that aren't in the latest messages", async () => {
+                const updates = [];
+
+                room.on("message:updated", message => updates.push(message));
+                chat.api.getMessages = () => Promise.resolve([ createMessageFrame({ id: 60 }).contents ]);
+
+                const message = await room.handleUpdatedMessage({ id: 52, roomId: 1, body: "howya lads" });
+
+                assert.equal(message, null);
+                assert(!room.findMessageById(52));
+                assert.deepEqual(updates, []);
+            });
+        });
+
+        describe("#reply", () => {
+            it("should quote the message and emit `message:reply` for replies to our messages", async () => {
+                const peter = room.addPerson(chat.savePerson(createPerson({ id: 2, handle: "peter" })));
+                room.addPerson(chat);
+
+                const original = room.saveMessage(createMessageFrame({ id: 1, userId: chat.id, body: "Deploy **now**? @peter" }).contents);
+                const question = room.saveMessage(createMessageFrame({ id: 2, userId: peter.id, body: "Which branch?" }).contents);
+                const sent = [];
+
+                chat.api.sendMessage = (roomId, body) => {
+                    sent.push(body);
+                    return Promise.resolve(createMessageFrame({ id: 3, userId: chat.id, body, createdAt: "2017-01-29T18:07:00.000Z" }).contents);
+                };
+
+                const reply = await question.reply("master");
+                assert.equal(sent[0], "> @peter (#2): Which branch?\nmaster");
+                assert.equal(reply.replyTo, question);
+
+                const replied = new Promise(resolve => room.once("message:reply", (...args) => resolve(args)));
+                room.handleMessage(createMessageFrame({
+                    id: 4, userId: peter.id, body: `${original.quote()}\nyes`, createdAt: "2017-01-29T18:08:00.000Z"
+                }).contents);
+
+                const [ message, replyTo ] = await replied;
+                assert.equal(message.content, "> @developers (#1): Deploy now? @\u200Bpeter\nyes");
+                assert.equal(replyTo, original);
+                assert.deepEqual(room.getReplies(original), [ message ]);
+
+                // Quotes refer to the message by ID, not the excerpt
+                room.saveMessage(createMessageFrame({ id: 5, userId: chat.id, body: "Deploy **now**? @peter", createdAt: "2017-01-29T18:09:00.000Z" }).contents);
+                const followUp = room.saveMessage(createMessageFrame({
+                    id: 6, userId: peter.id, body: `${original.quote()}\nstill yes`, createdAt: "2017-01-29T18:10:00.000Z"
+                }).contents);
+
+                assert.equal(followUp.replyTo, original);
+            });
+        });
+
+        describe("#markRead", () => {
+            it("should take the unread counts from the server", async () => {
+                const read = room.saveMessage(createMessageFrame({ id: 1, userId: 2, createdAt: "2017-01-29T18:01:00.000Z" }).contents);
+                const activity = [];
+
+                // The server has unread messages that were never loaded
+                chat.api.activateRoom = (roomId, date) => Promise.resolve(activity.push([roomId, date]));
+                chat.api.getRoom = id => Promise.resolve({ id, unreadCount: 60, importantUnreadCount: 2 });
+
+                await room.markRead(read);
+
+                assert.deepEqual(activity, [[1, read.createdAt]]);
+                assert(room.lastViewedAt.isSame(read.createdAt));
+                assert.deepEqual(room.unread, { count: 60, important: 2 });
+            });
+        });
+
+        describe("#iterateMessages", () => {
+            const createPage = ids => ({
+                messages: ids.map(id => createMessageFrame({
+                    id, createdAt: `2017-01-29T18:0${id}:00.000Z`
+                }).contents),
+                pageInfo: { pages: 3 }
+            });
+
+            let restore;
+            beforeEach(() => {
+                // Message 3 shifts onto the second page while iterating
+                const pages = [[4, 5], [3, 3], [1, 2]].map(createPage);
+                restore = expectRequest(/rooms\/1\/messages\.json/, () => pages.shift());
+            });
+
+            afterEach(() => restore());
+
+            it("should walk backwards through every page and yield each message once", async () => {
+                const messages = room.iterateMessages({ pageSize: 2 });
+                const ids = [];
+
+                for(let next = await messages.next(); !next.done; next = await messages.next()) {
+                    assert(next.value instanceof Message);
+                    ids.push(next.value.id);
+                }
+
+                assert.deepEqual(ids, [5, 4, 3, 2, 1]);
+                assert.deepEqual(room.messages.map(message => message.id), [1, 2, 3, 4, 5]);
+            });
+
+            it("should get the messages between two times, oldest first", async () => {
+                const messages = await room.getMessagesBetween("2017-01-29T18:02:00.000Z", "2017-01-29T18:05:00.000Z");
+
+                assert.deepEqual(messages.map(message => message.id), [2, 3, 4]);
+            });
+        });
+
+        describe("#getMessagesBetween", () => {
+            it("should only retain the latest messages when backfilling long histories", async () => {
+                const ids = range(1, 121);
+                const createdAt = id => moment("2017-01-29T18:00:00.000Z").add(id, "minutes").toJSON();
+
+                // Newest first, 50 per page
+                chat.api.getMessages = (roomId, { page }) => Promise.resolve(Object.assign(
+                    ids.slice().reverse().slice((page - 1) * 50, page * 50).map(id => createMessageFrame({ id, createdAt: createdAt(id) }).contents),
+                    { page: { pages: 3 } }
+                ));
+
+                const retained = room.saveMessage(createMessageFrame({ id: 100, createdAt: createdAt(100) }).contents);
+                const messages = await room.getMessagesBetween();
+
+                assert.deepEqual(messages.map(message => message.id), ids);
+                assert.equal(messages[99], retained);
+                assert.deepEqual(room.messages.map(message => message.id), range(71, 121));
+
+                // Iterating again doesn't duplicate the retained messages
+                await room.getMessagesBetween();
+                assert.deepEqual(room.messages.map(message => message.id), range(71, 121));
             });
         });
     });
@@ -0,0 +1,138 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import { EventEmitter } from "events";
+import Promise from "bluebird";
+import moment from "moment";
+import { Scheduler, getNextCronDate } from "../src";
+
+describe("Scheduler", () => {
+    describe("getNextCronDate", () => {
+        const from = moment("2017-02-22T10:30:00"); // A Wednesday
+        const next = expression => getNextCronDate(expression, from).format("YYYY-MM-DD HH:mm");
+
+        it("should get the next matching time", () => {
+            assert.equal(next("* * * * *"), "2017-02-22 10:31");
+            assert.equal(next("*/15 * * * *"), "2017-02-22 10:45");
+            assert.equal(next("55 9 * * 1-5"), "2017-02-23 09:55");
+            assert.equal(next("0 9 * * 0"), "2017-02-26 09:00");
+            assert.equal(next("0 0 1 * *"), "2017-03-01 00:00");
+            assert.equal(next("@yearly"), "2018-01-01 00:00");
+        });
+
+        it("should throw for invalid expressions", () => {
+            assert.throws(() => next("* * *"), /expected 5 fields/);
+            assert.throws(() => next("61 * * * *"), /out of range/);
+            assert.throws(() => next("0 0 31 2 *"), /doesn't match any date/);
+        });
+    });
+
+    describe("jobs", () => {
+        const file = path.join(os.tmpdir(), `tw-chat-schedule-test-${process.pid}.json`);
+        let chat, sent, scheduler;
+
+        beforeEach(() => {
+            sent = [];
+            chat = Object.assign(new EventEmitter(), {
+                api: { connected: true },
+                getRoom: id => Promise.resolve({
+                    sendMessage: content => Promise.resolve(sent.push(`${id}: ${content}`))
+                })
+            });
+
+            scheduler = new Scheduler(chat, { path: file }).start();
+        });
+
+        afterEach(() => {
+            scheduler.stop();
+
+            if(fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+
+        it("should send one-off jobs when due and remove them", async () => {
+            await scheduler.schedule(1, "standup in 5", moment().add(20, "ms"));
+            await scheduler.schedule({ id: 2 }, "later", moment().add(1, "hour"));
+
+            await Promise.delay(50);
+
+            assert.deepEqual(sent, ["1: standup in 5"]);
+            assert.deepEqual(scheduler.jobs.map(job => job.content), ["later"]);
+        });
+
+        it("should reschedule recurring jobs", async () => {
+            const job = await scheduler.schedule(1, "standup", "55 9 * * 1-5");
+            job.runAt = moment().toISOString();
+
+            await scheduler.runDueJobs();
+
+            assert.deepEqual(sent, ["1: standup"]);
+            assert(moment(job.runAt).isAfter(moment()));
+            assert.equal(moment(job.runAt).format("HH:mm"), "09:55");
+        });
+
+        it("should wait for the reconnect to send jobs due while disconnected", async () => {
+            chat.api.connected = false;
+            await scheduler.schedule(1, "standup", moment());
+            await Promise.delay(10);
+
+            assert.deepEqual(sent, []);
+
+            chat.api.connected = true;
+            chat.emit("reconnect");
+            await Promise.delay(10);
+
+            assert.deepEqual(sent, ["1: standup"]);
+        });
+
+        it("should send jobs due while disconnected after an incomplete reconnect", async () => {
+            chat.api.connected = false;
+            await scheduler.schedule(1, "standup", moment());
+            await Promise.delay(10);
+
+            chat.api.connected = true;
+            chat.emit("reconnect:incomplete", new Error("getUpdates failed"), 1000);
+            await Promise.delay(10);
+
+            assert.deepEqual(sent, ["1: standup"]);
+        });
+
+        it("should not resend jobs that are pending when the jobs are reloaded", async () => {
+            let release;
+            chat.getRoom = id => Promise.resolve({
+                sendMessage: content => new Promise(resolve => release = resolve).then(() => sent.push(`${id}: ${content}`))
+            });
+
+            await scheduler.schedule(1, "standup", moment().add(1, "hour"));
+            await scheduler.schedule(1, "review", moment().add(1, "hour"));
+            scheduler.jobs[0].runAt = moment().toISOString();
+
+            const running = scheduler.runDueJobs();
+            await Promise.delay(10);
+
+            const loading = scheduler.load();
+            scheduler.runDueJobs();
+            release();
+
+            await Promise.all([running, loading]);
+            await scheduler.runDueJobs();
+
+            assert.deepEqual(sent, ["1: standup"]);
+            assert.deepEqual(scheduler.jobs.map(job => job.content), ["review"]);
+        });
+
+        it("should persist the jobs", async () => {
+            await scheduler.schedule(1, "standup", "55 9 * * 1-5");
+
+            const loaded = new Scheduler(null, { path: file });
+            const jobs = await loaded.load();
+
+            assert.deepEqual(jobs, scheduler.jobs);
+            await loaded.remove(jobs[0].id);
+
+            assert.deepEqual(await scheduler.load(), []);
+        });
+    });
+});
\ No newline at end of file
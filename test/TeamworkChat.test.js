@@ -1,23 +1,34 @@
 import assert from "assert";
 import Promise from "bluebird";
+import moment from "moment";
+import fetch from "node-fetch";
 import { 
     createFrame, 
     createMessageFrame, 
     createRoom, 
     createPerson,
     expectRequest,
-    devTeamworkChat, 
-    localTeamworkChat 
+    localTeamworkChat,
+    localAPIClient
 } from "./fixture";
 import TeamworkChat, {
-    APIClient, Person, Room, Message
-} from "..";
+    APIClient, Person, Room, Message, Company, MemoryStore, MockServer, getReconnectDelay
+} from "../src";
 
 describe("TeamworkChat", function() {
     describe("instance methods", () => {
-        let chat;
+        let server, chat;
         beforeEach(async () => {
-            chat = await devTeamworkChat();
+            server = await new MockServer().listen();
+            server.addPerson({ handle: "bot" });
+            server.addPerson({ handle: "peter" });
+            server.addPerson({ handle: "testUser2" });
+            chat = await server.login("bot");
+        });
+
+        afterEach(async () => {
+            chat.close();
+            await server.close();
         });
 
         describe("#getPersonByHandle", () => {
@@ -60,10 +71,15 @@ describe("TeamworkChat", function() {
             chat = await localTeamworkChat();
         });
 
+        afterEach(() => chat.close());
+
         describe("socket event: close", () => {
             it("should reconnect on close", done => {
                 chat.on("error", done);
 
+                // There's no API to get the missed updates from
+                chat.getUpdates = () => Promise.resolve([[], [], []]);
+
                 chat.on("disconnect", () => {
                     chat.on("reconnect", () => {
                         done();
@@ -72,6 +88,40 @@ describe("TeamworkChat", function() {
 
                 chat.api.socket.close();
             });
+
+            it("should give up after the reconnection policy's max attempts", async () => {
+                const attempts = [];
+                const failed = new Promise(resolve => chat.on("reconnect:failed", (error, count) => resolve([error, count])));
+
+                chat.reconnection = { strategy: "exponential", interval: 1, maxAttempts: 3 };
+                chat.connect = () => Promise.reject(new Error("Connection refused"));
+                chat.on("reconnect:attempt", attempt => attempts.push(attempt));
+
+                chat.onDisconnect();
+
+                const [ error, count ] = await failed;
+                assert.equal(error.message, "Connection refused");
+                assert.equal(count, 3);
+                assert.deepEqual(attempts, [1, 2, 3]);
+            });
+
+            it("should not report a failed reconnect when only the updates fail", async () => {
+                const attempts = [];
+                const events = [];
+
+                chat.connect = () => Promise.resolve();
+                chat.getUpdates = () => Promise.reject(new Error("Service unavailable"));
+                chat.on("reconnect:attempt", attempt => attempts.push(attempt));
+                ["reconnect", "reconnect:incomplete", "reconnect:failed"].forEach(event => {
+                    chat.on(event, (...args) => events.push([event, ...args]));
+                });
+
+                await chat.onDisconnect();
+
+                assert.deepEqual(attempts, [1]);
+                assert.deepEqual(events.map(([ event ]) => event), ["reconnect:incomplete"]);
+                assert.equal(events[0][1].message, "Service unavailable");
+            });
         });
 
         describe("chat event: room.message.created", () => {
@@ -91,65 +141,386 @@ describe("TeamworkChat", function() {
             });
         });
 
-        describe("chat event: user.modified", () => {
-            it("it should update the user appropriately", done => {
+        describe("chat event: room.message.updated", () => {
+            it("should update the existing message and emit the previous version", done => {
                 chat.on("error", done);
 
-                chat.getPersonByHandle("peter").then(peter => {
-                    peter.on("update", () => {
-                        assert.equal(peter.status, "online");
-                        done();
-                    });
+                const room = new Room(chat.api, { id: 1 });
+                chat.addRoom(room);
 
-                    chat.api.emit("frame", createFrame("user.modified", {
-                        userId: peter.id,
-                        key: "status",
-                        value: "online"
+                room.once("message", () => {
+                    chat.api.emit("frame", createFrame("room.message.updated", {
+                        id: 52,
+                        roomId: 1,
+                        userId: 1,
+                        body: "howya lads"
                     }));
                 });
+
+                chat.on("message:updated", (updatedRoom, message, previous) => {
+                    assert.equal(updatedRoom, room);
+                    assert.equal(message, room.findMessageById(52));
+                    assert.equal(message.content, "howya lads");
+                    assert.equal(previous.content, "howya lad");
+                    assert.deepEqual(message.revisions, [previous]);
+                    done();
+                });
+
+                chat.api.emit("frame", createMessageFrame());
             });
         });
 
-        describe("chat event: user.updated", () => {
-            it.only("should directly query the API when a user is updated", done => {
+        describe("chat event: room.messages.deleted", () => {
+            it("should redact the message and emit delete and restore events", done => {
                 chat.on("error", done);
 
-                let restore = expectRequest(/\/people.json/, { people: [createPerson()] });
+                const room = new Room(chat.api, { id: 1 });
+                chat.addRoom(room);
 
-                chat.getPersonByHandle("developers").then(peter => {
-                    restore();
+                room.once("message", () => {
+                    chat.api.emit("frame", createFrame("room.messages.deleted", { roomId: "1", ids: [ 52 ] }));
+                });
 
-                    restore = expectRequest(/people\/(\d+)\.json/, $1 => ({
-                        person: createPerson({ id: parseInt($1) })
-                    }));
+                chat.on("message:deleted", (deletedRoom, message) => {
+                    assert.equal(deletedRoom, room);
+                    assert.equal(message.id, 52);
+                    assert.equal(message.status, "redacted");
 
-                    chat.api.emit("frame", createFrame("user.updated", {
-                        id: peter.id
-                    }));
+                    chat.api.emit("frame", createFrame("room.messages.deleted-undone", { roomId: "1", ids: [ 52 ] }));
+                });
+
+                chat.on("message:restored", (restoredRoom, message) => {
+                    assert.equal(message.id, 52);
+                    assert.equal(message.status, "active");
+                    done();
+                });
+
+                chat.api.emit("frame", createMessageFrame());
+            });
+        });
 
-                    chat.on("person:update", person => {
-                        assert.equal(person.id, peter.id);
-                        restore();
+        describe("chat event: room.deleted", () => {
+            it("should remove the room from memory", done => {
+                chat.on("error", done);
+
+                const room = chat.saveRoom(createRoom({ people: [] }));
+
+                chat.on("room:deleted", deletedRoom => {
+                    assert.equal(deletedRoom, room);
+                    assert(!chat.rooms.includes(room));
+                    done();
+                });
+
+                chat.api.emit("frame", createFrame("room.deleted", { id: room.id }));
+            });
+        });
+
+        describe("chat event: user.deleted", () => {
+            it("should remove the person from memory, their rooms and company", done => {
+                chat.on("error", done);
+
+                const person = chat.savePerson(createPerson({ id: 2, handle: "peter" }));
+                const room = chat.saveRoom(createRoom({ people: [createPerson({ id: 2, handle: "peter" })] }));
+                const company = person.company;
+
+                chat.on("person:deleted", deletedPerson => {
+                    assert.equal(deletedPerson, person);
+                    assert(person.deleted);
+                    assert(!room.people.includes(person));
+                    assert(!chat.rooms.includes(person.room));
+                    assert(!company.people.includes(person));
+
+                    // `person:deleted` is emitted before they're removed from the global room
+                    setImmediate(() => {
+                        assert(!chat.findPersonById(2));
                         done();
                     });
                 });
+
+                chat.api.emit("frame", createFrame("user.deleted", { id: 2 }));
+            });
+        });
+
+        describe("chat event: company.*", () => {
+            it("should populate companies from people", () => {
+                const peter = chat.savePerson(createPerson({ id: 2, handle: "peter" }));
+                const dan = chat.savePerson(createPerson({ id: 3, handle: "dan" }));
+
+                assert(peter.company instanceof Company);
+                assert.equal(peter.company, dan.company);
+                assert.deepEqual(peter.company.people, [peter, dan]);
+            });
+
+            it("should update and delete companies", done => {
+                chat.on("error", done);
+
+                const company = chat.savePerson(createPerson({ id: 2, handle: "peter" })).company;
+                const restore = expectRequest(/companies\/1\.json/, { company: { id: 1, name: "Teamwork.com" } });
+
+                chat.on("company:updated", updated => {
+                    restore();
+
+                    assert.equal(updated, company);
+                    assert.equal(company.name, "Teamwork.com");
+
+                    chat.api.emit("frame", createFrame("company.deleted", { id: 1 }));
+                });
+
+                chat.on("company:deleted", deleted => {
+                    assert.equal(deleted, company);
+                    assert(!chat.findCompanyById(1));
+                    done();
+                });
+
+                chat.api.emit("frame", createFrame("company.updated", { id: 1 }));
+            });
+        });
+
+        describe("chat event: user.modified", () => {
+            it("it should update the user appropriately", done => {
+                chat.on("error", done);
+
+                const peter = chat.savePerson(createPerson({ id: 2, handle: "peter" }));
+
+                peter.on("updated", () => {
+                    assert.equal(peter.status, "idle");
+                    done();
+                });
+
+                chat.api.emit("frame", createFrame("user.modified", {
+                    userId: peter.id,
+                    key: "status",
+                    value: "idle"
+                }));
+            });
+        });
+
+        describe("chat event: user.updated", () => {
+            it("should directly query the API when a user is updated", done => {
+                chat.on("error", done);
+
+                const peter = chat.savePerson(createPerson({ id: 2, handle: "peter" }));
+                const restore = expectRequest(/people\/(\d+)\.json/, (path, id) => ({
+                    person: createPerson({ id: parseInt(id), handle: "peter", status: "idle" })
+                }));
+
+                chat.on("person:updated", person => {
+                    restore();
+
+                    assert.equal(person, peter);
+                    assert.equal(person.status, "idle");
+                    done();
+                });
+
+                chat.api.emit("frame", createFrame("user.updated", {
+                    id: peter.id
+                }));
             });
         });
     });
 
+    describe("#getUpdates", () => {
+        let chat;
+        beforeEach(async () => {
+            chat = await localTeamworkChat();
+        });
+
+        it("should replay missed messages once, in order, across every room", async () => {
+            const message = (id, roomId, createdAt) => createMessageFrame({ id, roomId, createdAt }).contents;
+            const replayed = [];
+
+            chat.saveRoom(createRoom({ id: 1 })).handleMessage(message(1, 1, "2017-01-29T18:00:00.000Z"));
+
+            chat.api.getPeople = () => Promise.resolve([]);
+            chat.api.getAllRooms = () => Promise.resolve([ createRoom({ id: 1 }), createRoom({ id: 2 }) ]);
+            chat.api.getAllUserMessages = () => Promise.resolve([
+                message(4, 2, "2017-01-29T18:03:00.000Z"),
+                message(1, 1, "2017-01-29T18:00:00.000Z"),
+                message(2, 1, "2017-01-29T18:01:00.000Z"),
+                message(3, 2, "2017-01-29T18:02:00.000Z"),
+                message(2, 1, "2017-01-29T18:01:00.000Z")
+            ]);
+
+            chat.on("message", (room, message) => replayed.push([room.id, message.id, message.replayed]));
+
+            const [ , rooms, messages ] = await chat.getUpdates(moment("2017-01-29T17:00:00.000Z"));
+
+            assert.deepEqual(rooms.map(room => room.id), [1, 2]);
+            assert.deepEqual(messages.map(message => message.id), [2, 3, 4]);
+            assert.deepEqual(replayed, [[1, 2, true], [2, 3, true], [2, 4, true]]);
+            assert.equal(chat.findRoomById(1).findMessageById(1).replayed, false);
+        });
+    });
+
+    describe("#getUnreadRooms", () => {
+        let chat;
+        beforeEach(async () => {
+            chat = await localTeamworkChat();
+        });
+
+        afterEach(() => chat.close());
+
+        it("should keep the rooms' unread counts current", async () => {
+            const changes = [];
+            let reloads = 0;
+            const room = chat.saveRoom(createRoom({ id: 1, unreadCount: 1, importantUnreadCount: 0 }));
+            chat.saveRoom(createRoom({ id: 2, unreadCount: 4, importantUnreadCount: 0 }));
+
+            chat.on("unread:changed", (room, unread) => changes.push([room.id, unread.count]));
+            chat.api.activateRoom = () => Promise.resolve();
+            chat.api.getRoom = id => Promise.resolve(createRoom({ id, unreadCount: 0, importantUnreadCount: 0 }));
+            chat.api.getAllRooms = () => Promise.resolve([ createRoom({ id: 1, unreadCount: 0 }), createRoom({ id: 2, unreadCount: 0 }) ]).tap(() => reloads++);
+
+            room.handleMessage(createMessageFrame({ userId: 2 }).contents);
+            assert.deepEqual(room.unread, { count: 2, important: 0 });
+            assert.deepEqual((await chat.getUnreadRooms()).map(room => room.id).sort(), [1, 2]);
+
+            await room.activate();
+            assert(!room.isUnread);
+
+            // The totals include rooms that aren't loaded
+            await chat.handleUnseenCounts({ unreadCounts: { unread: 10, importantUnread: 0 } });
+            assert.equal(reloads, 0);
+            assert.deepEqual((await chat.getUnreadRooms()).map(room => room.id), [2]);
+
+            // Room 2 was read elsewhere so the rooms are reloaded
+            await chat.handleUnseenCounts({ unreadCounts: { unread: 0, importantUnread: 0 } });
+            assert.equal(reloads, 1);
+            assert.deepEqual((await chat.getUnreadRooms()).map(room => room.id), []);
+
+            // But not again within the refresh interval
+            chat.saveRoom(createRoom({ id: 2, unreadCount: 1 }));
+            await chat.handleUnseenCounts({ unreadCounts: { unread: 0, importantUnread: 0 } });
+            assert.equal(reloads, 1);
+
+            assert.deepEqual(changes, [[1, 2], [1, 0], [2, 0], [2, 1]]);
+        });
+
+        it("should emit `unread:changed` for rooms added with unread messages", () => {
+            const changes = [];
+            chat.on("unread:changed", (room, unread, previous) => changes.push([room.id, unread.count, previous.count]));
+
+            chat.saveRoom(createRoom({ id: 1, unreadCount: 0, importantUnreadCount: 0 }));
+            chat.saveRoom(createRoom({ id: 2, unreadCount: 3, importantUnreadCount: 1 }));
+
+            assert.deepEqual(changes, [[2, 3, 0]]);
+        });
+    });
+
+    describe("#serveMetrics", () => {
+        let chat;
+        beforeEach(async () => {
+            chat = await localTeamworkChat();
+        });
+
+        afterEach(() => chat.close());
+
+        it("should serve the metrics as JSON and Prometheus text", async () => {
+            chat.api.onSocketMessage(JSON.stringify(createFrame("pong", {})));
+            chat.api.metrics.latency.observe(42);
+            chat.api.metrics.latency.observe(700);
+
+            const server = await chat.serveMetrics();
+            const root = `http://127.0.0.1:${server.address().port}`;
+
+            const metrics = await fetch(`${root}/metrics.json`).then(res => res.json());
+            assert.equal(metrics.connected, true);
+            assert.equal(metrics.queue.depth, 0);
+            assert.equal(metrics.frames.in.pong, 1);
+            assert.deepEqual([metrics.ping.count, metrics.ping.sum, metrics.ping.buckets[50], metrics.ping.buckets[1000]], [2, 742, 1, 2]);
+
+            const text = await fetch(`${root}/metrics`).then(res => res.text());
+            assert(text.includes('twchat_frames_total{direction="in",name="pong"} 1'));
+            assert(text.includes('twchat_ping_rtt_milliseconds_bucket{le="25"} 0'));
+            assert(text.includes('twchat_ping_rtt_milliseconds_bucket{le="+Inf"} 2'));
+            assert(text.includes("twchat_connected 1"));
+        });
+    });
+
+    describe("#constructor", () => {
+        it("should take the reconnection and ping options", async () => {
+            const api = await localAPIClient();
+            const chat = new TeamworkChat(api, api.user, { reconnection: { maxAttempts: 2 }, pingInterval: 5000 });
+
+            try {
+                assert.deepEqual(chat.reconnection, { ...TeamworkChat.reconnection, maxAttempts: 2 });
+                assert.equal(api.pingInterval, 5000);
+                assert.equal(api.pingTimeout, APIClient.pingTimeout);
+            } finally {
+                chat.close();
+            }
+        });
+
+        it("should throw for an invalid reconnection policy", async () => {
+            const api = await localAPIClient();
+
+            try {
+                assert.throws(() => new TeamworkChat(api, api.user, { reconnection: { strategy: "linear" } }), /Invalid strategy: linear/);
+            } finally {
+                api.close();
+            }
+        });
+    });
+
+    describe("getReconnectDelay", () => {
+        it("should calculate the delay for each strategy", () => {
+            const policy = { interval: 1000, maxInterval: 5000, factor: 2 };
+
+            assert.deepEqual([1, 2, 5].map(attempt => getReconnectDelay({ ...policy, strategy: "fixed" }, attempt)), [1000, 1000, 1000]);
+            assert.deepEqual([1, 2, 3, 4].map(attempt => getReconnectDelay({ ...policy, strategy: "exponential" }, attempt)), [1000, 2000, 4000, 5000]);
+            assert.equal(getReconnectDelay({ ...policy, strategy: "jittered" }, 3, () => 0.5), 2000);
+            assert.throws(() => getReconnectDelay({ strategy: "linear" }, 1), /Invalid strategy: linear/);
+        });
+    });
+
+    describe("#useStore", () => {
+        let chat;
+        beforeEach(async () => {
+            chat = await localTeamworkChat();
+        });
+
+        it("should restore from the store and write new messages through to it", async () => {
+            const store = new MemoryStore();
+            await store.savePerson(createPerson({ id: 2, handle: "peter" }));
+            await store.saveRoom(createRoom({ id: 1 }));
+            await store.saveMessage(createMessageFrame({ id: 1, roomId: 1 }).contents);
+
+            await chat.useStore(store);
+
+            const room = chat.findRoomById(1);
+            assert(chat.findPersonById(2));
+            assert.deepEqual(room.messages.map(message => message.id), [1]);
+
+            room.handleMessage(createMessageFrame({ id: 2, roomId: 1 }).contents);
+
+            await Promise.delay(10);
+            assert.deepEqual((await store.getMessages(1)).map(message => message.id), [1, 2]);
+        });
+    });
+
     describe("flows", () => {
-       let chat;
+        let server, chat;
         beforeEach(async () => {
-            chat = await devTeamworkChat();
+            server = await new MockServer().listen();
+            server.addPerson({ handle: "bot" });
+            server.addPerson({ handle: "peter" });
+            chat = await server.login("bot");
+        });
+
+        afterEach(async () => {
+            chat.close();
+            await server.close();
         });
 
         describe("get people by handle and send message", () => {
             it("should send a private message when you only want one user", async () => {
                 const peter = await chat.getPersonByHandle("peter");
-                // const room = await chat.getRoomForHandles(["peter"]);
-                console.log(peter.roomId);
+                const room = await chat.getRoomForHandles(["peter"]);
 
-                // await room.sendMessage("room");
+                await room.sendMessage("room");
+
+                assert.equal(room, peter.room);
+                assert.deepEqual(server.messages.map(message => message.body), ["room"]);
             });
         });
     });
@@ -0,0 +1,79 @@
+import assert from "assert";
+import { EventEmitter } from "events";
+import Promise, { CancellationError } from "bluebird";
+import { Dialog } from "../src/util";
+
+describe("Dialog", () => {
+    let room, sent, adrian, peter, dialog;
+    beforeEach(() => {
+        sent = [];
+        adrian = { id: 1, handle: "adrian" };
+        peter = { id: 2, handle: "peter" };
+        room = Object.assign(new EventEmitter(), {
+            id: 1,
+            sendMessage: content => Promise.resolve(sent.push(content))
+        });
+
+        dialog = new Dialog()
+            .ask("name", "What's the name?")
+            .ask("guests", { message: "How many guests?", validate: "int" })
+            .ask("confirm", answers => `Book for ${answers.name} (${answers.guests})?`, {
+                next: answer => answer === "yes" ? null : "name"
+            });
+    });
+
+    // Send each reply once the previous prompt has been asked
+    function reply(person, ...contents) {
+        return Promise.mapSeries(contents, content => {
+            return Promise.delay(5).then(() => {
+                room.emit("message:received", { author: person, userId: person.id, content });
+            });
+        });
+    }
+
+    it("should chain the prompts and branch on answers", async () => {
+        const answers = dialog.start(room, adrian);
+
+        await reply(adrian, "Adrian", "2", "no", "Peter", "3", "yes");
+
+        assert.deepEqual(await answers, { name: "Peter", guests: 3, confirm: "yes" });
+        assert.deepEqual(sent.slice(0, 3), ["@adrian What's the name?", "@adrian How many guests?", "@adrian Book for Adrian (2)?"]);
+    });
+
+    it("should go back and cancel on keywords", async () => {
+        const answers = dialog.start(room, adrian);
+
+        await reply(adrian, "Adrian", "back", "Peter", "cancel");
+
+        await answers.then(() => assert.fail("Expected cancellation"), error => {
+            assert(error instanceof CancellationError);
+        });
+
+        assert.deepEqual(sent, [
+            "@adrian What's the name?",
+            "@adrian How many guests?",
+            "@adrian What's the name?",
+            "@adrian How many guests?",
+            "@adrian Cancelled."
+        ]);
+    });
+
+    it("should keep separate state for each person", async () => {
+        const adriansAnswers = dialog.start(room, adrian);
+        const petersAnswers = dialog.start(room, peter);
+
+        // Starting again joins the conversation in progress
+        dialog.start(room, adrian);
+        await Promise.delay(5);
+        assert.deepEqual(sent, ["@adrian What's the name?", "@peter What's the name?"]);
+
+        await reply(adrian, "Adrian");
+        await reply(peter, "Peter");
+        await reply(adrian, "2", "yes");
+        await reply(peter, "4", "yes");
+
+        assert.deepEqual(await adriansAnswers, { name: "Adrian", guests: 2, confirm: "yes" });
+        assert.deepEqual(await petersAnswers, { name: "Peter", guests: 4, confirm: "yes" });
+        assert.equal(dialog.getConversation(room, adrian), undefined);
+    });
+});
\ No newline at end of file
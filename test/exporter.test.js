@@ -0,0 +1,60 @@
+import assert from "assert";
+import { exportMessages } from "../src";
+import { localTeamworkChat, createMessageFrame, createPerson, createRoom } from "./fixture";
+
+describe("exporter", () => {
+    let chat, room, messages;
+    beforeEach(async () => {
+        chat = await localTeamworkChat();
+        room = chat.saveRoom(createRoom({
+            id: 1,
+            title: "Sprint <12>",
+            people: [ createPerson({ id: 1, handle: "adrian", firstName: "Adrian", lastName: "Cooney" }) ]
+        }));
+
+        const edited = room.saveMessage(createMessageFrame({ id: 1 }).contents);
+        edited.revisions.push(edited.clone());
+        edited.update({ body: "howya <lads>", editedAt: "2017-01-29T18:07:00.000Z" });
+
+        messages = [
+            edited,
+            room.saveMessage(createMessageFrame({
+                id: 2, body: "", userId: 2, file: { name: "notes.txt", key: "abc/notes.txt", contentType: "text/plain" }
+            }).contents)
+        ];
+    });
+
+    afterEach(() => chat.close());
+
+    it("should export JSONL with authors and revisions", () => {
+        const lines = exportMessages(room, messages, "jsonl").trim().split("\n").map(line => JSON.parse(line));
+
+        assert.equal(lines.length, 2);
+        assert.deepEqual(lines[0].author, { id: 1, handle: "adrian", name: "Adrian Cooney" });
+        assert.deepEqual(lines[0].revisions.map(revision => revision.body), ["howya lad"]);
+        assert.deepEqual(lines[1].author, { id: 2, handle: null, name: null });
+        assert.equal(lines[1].file.key, "abc/notes.txt");
+    });
+
+    it("should export Markdown", () => {
+        const transcript = exportMessages(room, messages, "md");
+
+        assert(transcript.startsWith("# Sprint <12>\n"));
+        assert(transcript.includes("**Adrian Cooney (@adrian)**"));
+        assert(transcript.includes("> Previously: howya lad"));
+        assert(transcript.includes("**User #2**"));
+        assert(transcript.includes("File: `notes.txt`"));
+    });
+
+    it("should export escaped HTML", () => {
+        const transcript = exportMessages(room, messages, "html");
+
+        assert(transcript.includes("<title>Sprint &lt;12&gt;</title>"));
+        assert(transcript.includes("howya &lt;lads&gt;"));
+        assert(transcript.includes(`id="message-2"`));
+    });
+
+    it("should throw for unknown formats", () => {
+        assert.throws(() => exportMessages(room, messages, "pdf"), /Unknown export format "pdf"/);
+    });
+});
\ No newline at end of file
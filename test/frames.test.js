@@ -0,0 +1,52 @@
+import assert from "assert";
+import { validateFrame, registerFrame, FRAMES } from "../src/lib/frames";
+import { createFrame, createMessageFrame } from "./fixture";
+
+describe("frames", () => {
+    describe("validateFrame", () => {
+        it("should pass valid frames", () => {
+            assert.deepEqual(validateFrame(createMessageFrame(), "incoming"), []);
+            assert.deepEqual(validateFrame(createFrame("room.message.created", { roomId: 1, body: "howya" }), "outgoing"), []);
+            assert.deepEqual(validateFrame(createFrame("room.messages.deleted", { roomId: "3735", ids: [ 1 ] }), "incoming"), []);
+        });
+
+        it("should return errors for invalid contents", () => {
+            assert.deepEqual(validateFrame(createMessageFrame({ roomId: undefined, body: 1 }), "incoming"), [
+                "contents.roomId: expected number, got undefined",
+                "contents.body: expected string, got number"
+            ]);
+        });
+
+        it("should validate optional nested objects", () => {
+            const frame = createFrame("room.message.created", { roomId: 1, body: "", file: { name: "a.js" } });
+
+            assert.deepEqual(validateFrame(frame, "outgoing"), ["contents.file.key: expected string, got undefined"]);
+        });
+
+        it("should accept null for optional properties", () => {
+            assert.deepEqual(validateFrame(createMessageFrame({ file: null }), "incoming"), []);
+            assert.deepEqual(validateFrame(createFrame("room.message.created", { roomId: 1, body: "", file: null }), "outgoing"), []);
+            assert.deepEqual(validateFrame(createMessageFrame({ roomId: null }), "incoming"), ["contents.roomId: expected number, got null"]);
+        });
+
+        it("should reject frames travelling in the wrong direction", () => {
+            assert.deepEqual(validateFrame(createFrame("ping", {}), "incoming"), ['name: "ping" is not an incoming frame']);
+        });
+
+        it("should only reject unknown frames when strict", () => {
+            assert.deepEqual(validateFrame(createFrame("room.unknown", {}), "incoming"), []);
+            assert.deepEqual(validateFrame(createFrame("room.unknown", {}), "incoming", { strict: true }), ['name: unknown frame "room.unknown"']);
+        });
+
+        it("should validate registered frames", () => {
+            registerFrame("room.test", { incoming: { id: "number|string" } });
+
+            try {
+                assert.deepEqual(validateFrame(createFrame("room.test", { id: "1" }), "incoming"), []);
+                assert.deepEqual(validateFrame(createFrame("room.test", { id: null }), "incoming"), ["contents.id: expected number or string, got null"]);
+            } finally {
+                delete FRAMES["room.test"];
+            }
+        });
+    });
+});
\ No newline at end of file
@@ -1,3 +1,15 @@
 import "./APIClient.test";
+import "./Bot.test";
+import "./Cassette.test";
+import "./MessageBuilder.test";
+import "./MockServer.test";
 import "./Room.test";
-import "./TeamworkChat.test";
\ No newline at end of file
+import "./conversation.test";
+import "./exporter.test";
+import "./frames.test";
+import "./parser.test";
+import "./prompt.test";
+import "./Scheduler.test";
+import "./stores.test";
+import "./TeamworkChat.test";
+import "./transcript.test";
\ No newline at end of file
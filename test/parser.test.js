@@ -0,0 +1,75 @@
+import assert from "assert";
+import { parseMessage, tokensToText } from "../src";
+import { localTeamworkChat, createMessageFrame, createPerson, createRoom } from "./fixture";
+
+describe("parser", () => {
+    describe("parseMessage", () => {
+        it("should tokenize mentions, links and emoji", () => {
+            const tokens = parseMessage("@peter see https://teamwork.com/x?y=1. :tada: @all", {
+                resolve: handle => handle === "peter" ? { id: 2 } : null
+            });
+
+            assert.deepEqual(tokens, [
+                { type: "mention", value: "@peter", handle: "peter", person: { id: 2 } },
+                { type: "text", value: " see " },
+                { type: "link", value: "https://teamwork.com/x?y=1", url: "https://teamwork.com/x?y=1" },
+                { type: "text", value: ". " },
+                { type: "emoji", value: ":tada:", name: "tada" },
+                { type: "text", value: " " },
+                { type: "all", value: "@all" }
+            ]);
+        });
+
+        it("should tokenize code and nested emphasis", () => {
+            const tokens = parseMessage("**bold _and_ italic** `@peter`\n```js\nconst a = 1;\n```");
+
+            assert.equal(tokens[0].type, "bold");
+            assert.deepEqual(tokens[0].children.map(token => token.type), ["text", "italic", "text"]);
+            assert.deepEqual(tokens[2], { type: "code", value: "`@peter`", code: "@peter" });
+            assert.deepEqual(tokens[4], { type: "codeblock", value: "```js\nconst a = 1;\n```", language: "js", code: "const a = 1;" });
+            assert.equal(tokensToText(tokens), "bold and italic @peter\nconst a = 1;");
+        });
+
+        it("should leave emails, times, snake_case and URLs alone", () => {
+            const content = "hi@example.com at 10:30:45 about some_var_name https://x.com/_a_/b";
+            const tokens = parseMessage(content);
+
+            assert.deepEqual(tokens.map(token => token.type), ["text", "link"]);
+            assert.equal(tokensToText(tokens), content);
+        });
+    });
+
+    describe("Message", () => {
+        let chat, room;
+        beforeEach(async () => {
+            chat = await localTeamworkChat();
+            room = chat.saveRoom(createRoom({
+                id: 1,
+                people: [ createPerson({ id: 2, handle: "peter" }) ]
+            }));
+        });
+
+        afterEach(() => chat.close());
+
+        it("should expose mentions, links and code blocks", () => {
+            const message = room.saveMessage(createMessageFrame({
+                id: 1, userId: 2, body: "@peter @nobody @Peter https://teamwork.com\n```\nnpm test\n```"
+            }).contents);
+
+            assert.deepEqual(message.mentions, [ room.findPersonById(2) ]);
+            assert.deepEqual(message.links, ["https://teamwork.com"]);
+            assert.deepEqual(message.codeBlocks, [{ code: "npm test", language: null }]);
+            assert(!message.mentionsAll);
+        });
+
+        it("should not count mentions in code as mentions", () => {
+            const peter = room.findPersonById(2);
+            const message = room.saveMessage(createMessageFrame({ id: 1, userId: 3, body: "`@peter`" }).contents);
+
+            assert(!peter.isMentioned(message));
+
+            message.update({ body: "ping **@peter**" });
+            assert(peter.isMentioned(message));
+        });
+    });
+});
@@ -0,0 +1,96 @@
+import assert from "assert";
+import { EventEmitter } from "events";
+import Promise from "bluebird";
+import moment from "moment";
+import { prompt, parseDate } from "../src/util";
+
+describe("prompt", () => {
+    let room, sent, people;
+    beforeEach(() => {
+        sent = [];
+        people = { adrian: { id: 1, handle: "adrian" } };
+        room = Object.assign(new EventEmitter(), {
+            id: 1,
+            sendMessage: content => Promise.resolve(sent.push(content)),
+            api: {
+                user: {
+                    getPersonByHandle: handle => people[handle] ? Promise.resolve(people[handle]) : Promise.reject(new Error("Not found."))
+                }
+            }
+        });
+    });
+
+    function ask(input, ...replies) {
+        const answer = prompt(room, input);
+
+        return Promise.mapSeries(replies, content => {
+            return Promise.delay(5).then(() => room.emit("message:received", { content }));
+        }).then(() => answer);
+    }
+
+    describe("validators", () => {
+        it("should render a numbered menu for choices", async () => {
+            assert.equal(await ask({ message: "Colour?", validate: ["Red", "Green"] }, "3", "2"), "Green");
+            assert.equal(await ask({ message: "Colour?", validate: "choice", choices: ["Red", "Green"] }, "red"), "Red");
+
+            assert.equal(sent[0], "Colour?\n1. Red\n2. Green");
+            assert(sent[1].startsWith(`Sorry, "3" isn't one of the options. Please reply with a number from 1 to 2.`));
+        });
+
+        it("should accept falsy choices", async () => {
+            assert.equal(await ask({ message: "How many?", validate: [0, 1] }, "1"), 0);
+            assert.equal(await ask({ message: "Note?", validate: ["", "urgent"] }, "0", "1"), "");
+            assert(sent[2].startsWith(`Sorry, "0" isn't one of the options.`));
+        });
+
+        it("should parse yes or no", async () => {
+            assert.equal(await ask({ message: "Sure?", validate: "boolean" }, "maybe", "Yes!"), true);
+            assert.equal(await ask({ message: "Sure?", validate: "boolean" }, "nope"), false);
+            assert(sent[1].startsWith("Sorry, I need a yes or no."));
+        });
+
+        it("should parse dates", async () => {
+            const date = await ask({ message: "When?", validate: "date" }, "whenever", "tomorrow at 3pm");
+
+            assert(date.isSame(moment().add(1, "day").startOf("day").hour(15)));
+            assert(sent[1].startsWith("Sorry, I didn't understand that date."));
+        });
+
+        it("should resolve handles to people", async () => {
+            assert.equal(await ask({ message: "Who?", validate: "person" }, "@nobody", "@adrian"), people.adrian);
+            assert(sent[1].startsWith("Sorry, I can't find anyone with the handle @nobody."));
+        });
+
+        it("should require `options.chat` for people when the target has no chat", () => {
+            const target = { ...room, api: undefined };
+
+            assert.throws(() => prompt(target, { message: "Who?", validate: "person" }), /options\.chat/);
+        });
+
+        it("should match regex patterns", async () => {
+            const match = await ask({ message: "Ticket?", validate: /^#(\d+)$/, hint: "e.g. #123" }, "123", "#123");
+
+            assert.equal(match[1], "123");
+            assert(sent[1].startsWith("Sorry, I didn't understand that. e.g. #123"));
+        });
+    });
+
+    describe("parseDate", () => {
+        const now = moment("2017-02-22T10:30:00"); // A Wednesday
+
+        it("should parse relative and absolute dates", () => {
+            const parse = input => parseDate(input, now).format("YYYY-MM-DD HH:mm");
+
+            assert.equal(parse("today"), "2017-02-22 00:00");
+            assert.equal(parse("yesterday"), "2017-02-21 00:00");
+            assert.equal(parse("in 2 hours"), "2017-02-22 12:30");
+            assert.equal(parse("a week ago"), "2017-02-15 10:30");
+            assert.equal(parse("friday"), "2017-02-24 00:00");
+            assert.equal(parse("next wednesday at 9:15am"), "2017-03-01 09:15");
+            assert.equal(parse("last monday"), "2017-02-20 00:00");
+            assert.equal(parse("5pm"), "2017-02-22 17:00");
+            assert.equal(parse("2017-03-17"), "2017-03-17 00:00");
+            assert.equal(parseDate("the day after", now), null);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import assert from "assert";
+import Promise from "bluebird";
+import { MemoryStore, JSONFileStore, SQLiteStore } from "../src/stores";
+import logging from "../src/lib/logging";
+import { createPerson, createRoom, createMessageFrame } from "./fixture";
+
+const createMessage = overrides => createMessageFrame(overrides).contents;
+
+describe("stores", () => {
+    [
+        ["MemoryStore", () => new MemoryStore()],
+        ["JSONFileStore", file => new JSONFileStore(file)],
+        ["SQLiteStore", file => new SQLiteStore(file)]
+    ].forEach(([ name, createStore ]) => {
+        describe(name, () => {
+            const file = path.join(os.tmpdir(), `tw-chat-store-test-${process.pid}`);
+            let store;
+
+            beforeEach(async () => {
+                store = createStore(file);
+                await store.load();
+            });
+
+            afterEach(async () => {
+                await store.close();
+
+                if(fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            });
+
+            it("should save, update and delete people", async () => {
+                await store.savePerson(createPerson({ id: 1 }));
+                await store.savePerson(createPerson({ id: 2, handle: "peter" }));
+                await store.savePerson(createPerson({ id: 1, handle: "adrian" }));
+                await store.deletePerson(2);
+
+                assert.deepEqual((await store.getPeople()).map(person => person.handle), ["adrian"]);
+            });
+
+            it("should return the latest messages for a room, oldest first", async () => {
+                await store.saveRoom(createRoom({ id: 1 }));
+                await store.saveMessage(createMessage({ id: 3, createdAt: "2017-01-29T18:08:00.000Z" }));
+                await store.saveMessage(createMessage({ id: 1, createdAt: "2017-01-29T18:06:00.000Z" }));
+                await store.saveMessage(createMessage({ id: 2, createdAt: "2017-01-29T18:07:00.000Z" }));
+                await store.saveMessage(createMessage({ id: 4, roomId: 2 }));
+
+                assert.deepEqual((await store.getMessages(1)).map(message => message.id), [1, 2, 3]);
+                assert.deepEqual((await store.getMessages(1, { limit: 2 })).map(message => message.id), [2, 3]);
+
+                await store.deleteRoom(1);
+
+                assert.deepEqual(await store.getRooms(), []);
+                assert.deepEqual(await store.getMessages(1), []);
+            });
+
+            it("should get and set metadata", async () => {
+                await store.set("session", { auth: "abc" });
+
+                assert.deepEqual(await store.get("session"), { auth: "abc" });
+                assert.equal(await store.get("missing"), undefined);
+            });
+
+            if(name !== "MemoryStore") {
+                it("should persist to the file when flushed", async () => {
+                    await store.saveRoom(createRoom({ id: 1 }));
+                    await store.saveMessage(createMessage());
+                    await store.close();
+
+                    store = createStore(file);
+                    await store.load();
+
+                    assert.deepEqual((await store.getRooms()).map(room => room.id), [1]);
+                    assert.deepEqual((await store.getMessages(1)).map(message => message.body), ["howya lad"]);
+                });
+            }
+        });
+    });
+
+    describe("Store", () => {
+        it("should log errors from scheduled flushes", async () => {
+            const store = new MemoryStore();
+            const logger = logging.get("tw-chat:store");
+            const { error } = logger;
+            const unhandled = [];
+            const onUnhandled = reason => unhandled.push(reason);
+            const logged = new Promise(resolve => logger.error = resolve);
+
+            store.flushDelay = 0;
+            store.flush = () => Promise.reject(new Error("disk full"));
+            process.on("unhandledRejection", onUnhandled);
+
+            try {
+                store.scheduleFlush();
+                assert.equal(await logged, "unable to flush MemoryStore: disk full");
+
+                // Give any unhandled rejection a chance to surface
+                await Promise.delay(10);
+            } finally {
+                logger.error = error;
+                process.removeListener("unhandledRejection", onUnhandled);
+            }
+
+            assert.deepEqual(unhandled, []);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+import assert from "assert";
+import Promise from "bluebird";
+import { Transcript } from "../src";
+
+const SCRIPT = `
+    @adrian: @all how's those reports coming?
+
+    @dwight: morning: everybody
+    @adrian: great
+`;
+
+describe("Transcript", () => {
+    describe(".parse", () => {
+        it("should parse scripts", () => {
+            const transcript = Transcript.parse(SCRIPT);
+
+            assert.deepEqual(transcript.handles, ["adrian", "dwight"]);
+            assert.deepEqual(transcript.lines[1], { handle: "dwight", content: "morning: everybody", createdAt: null });
+        });
+
+        it("should throw on invalid script lines", () => {
+            assert.throws(() => Transcript.parse("@adrian: hi\nhello"), /Invalid transcript line 2/);
+        });
+
+        it("should parse JSONL exports, skipping deleted messages", () => {
+            const transcript = Transcript.parse([
+                { body: "one", status: "active", createdAt: "2017-01-29T18:00:00.000Z", author: { handle: "adrian" } },
+                { body: "two", status: "redacted", createdAt: "2017-01-29T18:00:01.000Z", author: { handle: "dwight" } },
+                { body: "three", status: "active", createdAt: "2017-01-29T18:00:05.000Z", author: { handle: "dwight" } }
+            ].map(message => JSON.stringify(message)).join("\n"));
+
+            assert.deepEqual(transcript.lines.map(line => line.content), ["one", "three"]);
+            assert.deepEqual(transcript.schedule({ speed: 2 }).map(line => line.delay), [0, 2500]);
+        });
+    });
+
+    describe("#schedule", () => {
+        it("should use the interval for lines without timestamps", () => {
+            const transcript = Transcript.parse(SCRIPT);
+
+            assert.deepEqual(transcript.schedule({ interval: 200, speed: 4 }).map(line => line.delay), [0, 50, 50]);
+            assert.throws(() => transcript.schedule({ speed: 0 }), /Invalid replay speed/);
+        });
+    });
+
+    describe("#replay", () => {
+        let chat, sent, closed;
+        beforeEach(() => {
+            sent = [];
+            closed = [];
+
+            const createSession = handle => ({
+                handle,
+                getRoom: id => Promise.resolve({
+                    sendMessage: content => Promise.resolve(sent.push(`${handle}@${id}: ${content}`))
+                }),
+                getPersonByHandle: handle => Promise.resolve({ handle }),
+                impersonateByHandle: handle => Promise.resolve(createSession(handle)),
+                close: () => closed.push(handle)
+            });
+
+            chat = createSession("adrian");
+        });
+
+        it("should send each line as its author and close the impersonated sessions", async () => {
+            const transcript = Transcript.parse(SCRIPT);
+
+            await transcript.replay(chat, 1, { interval: 0 });
+
+            assert.deepEqual(sent, [
+                "adrian@1: @all how's those reports coming?",
+                "dwight@1: morning: everybody",
+                "adrian@1: great"
+            ]);
+            assert.deepEqual(closed, ["dwight"]);
+        });
+
+        it("should not send anything in a dry run", async () => {
+            const transcript = Transcript.parse(SCRIPT);
+            const lines = [];
+
+            transcript.on("line", (line, message) => lines.push([line.handle, message]));
+
+            await transcript.replay(chat, 1, { dryRun: true });
+
+            assert.deepEqual(sent, []);
+            assert.deepEqual(lines, [["adrian", null], ["dwight", null], ["adrian", null]]);
+        });
+    });
+});
\ No newline at end of file